@@ -16,7 +16,9 @@ CREATE TABLE IF NOT EXISTS users (
   gender ENUM('男','女','非二元','不透露') DEFAULT '不透露',
   age INT DEFAULT NULL,
   avatar VARCHAR(255) DEFAULT '/uploads/default_avatar.png',
-  balance DECIMAL(10,2) DEFAULT 0.00
+  balance DECIMAL(10,2) DEFAULT 0.00,
+  role ENUM('user','admin') DEFAULT 'user',
+  bio VARCHAR(255) DEFAULT NULL
 );
 
 -- 📡 直播表
@@ -27,19 +29,244 @@ CREATE TABLE IF NOT EXISTS streams (
   title VARCHAR(100) NOT NULL,
   cover VARCHAR(255),
   description TEXT,
-  hashtags VARCHAR(255),
   status BOOLEAN DEFAULT TRUE,
+  peak_viewers INT DEFAULT 0,
   last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_streams_user (user_id, id),
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
--- 🏷️ Hashtag 表
+-- 💬 聊天訊息表（每則 chat-message 都會寫入，供補播與歷史查詢）
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  msg_id CHAR(36) NOT NULL UNIQUE,
+  room_id VARCHAR(100) NOT NULL,
+  user_id INT,
+  username VARCHAR(50) NOT NULL,
+  avatar VARCHAR(255),
+  is_host BOOLEAN DEFAULT FALSE,
+  text VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  deleted_at TIMESTAMP(3) NULL DEFAULT NULL,
+  deleted_by INT DEFAULT NULL,
+  INDEX idx_chat_room (room_id, id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ⛔ 直播間封鎖名單（主播封鎖的使用者無法再加入該房間）
+CREATE TABLE IF NOT EXISTS room_bans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL,
+  user_id INT NOT NULL,
+  banned_by INT NOT NULL,
+  reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_room_user (room_id, user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 🤐 違禁詞（room_id 為空字串代表全站；action: mask 以 * 遮蔽、reject 直接拒絕訊息）
+CREATE TABLE IF NOT EXISTS banned_words (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL DEFAULT '',
+  word VARCHAR(100) NOT NULL,
+  action ENUM('mask','reject') DEFAULT 'mask',
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_room_word (room_id, word)
+);
+
+-- 🗳️ PK 投票紀錄（每位使用者一張免費票可改投，改投時舊紀錄標記 superseded_at；paid 為從餘額扣款的加碼票，gift 為 PK 中送禮換算的票數）
+CREATE TABLE IF NOT EXISTS pk_votes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL,
+  user_id INT NOT NULL,
+  owner_id VARCHAR(100) NOT NULL,
+  kind ENUM('free','paid','gift') NOT NULL DEFAULT 'free',
+  votes INT NOT NULL DEFAULT 1,
+  cost DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  superseded_at TIMESTAMP NULL DEFAULT NULL,
+  INDEX idx_pk_votes_room (room_id, superseded_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 🏆 PK 對戰結果（結束時寫入；winner_owner_id 為 NULL 代表平手）
+CREATE TABLE IF NOT EXISTS pk_matches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL UNIQUE,
+  host_count INT NOT NULL DEFAULT 2,
+  winner_owner_id VARCHAR(100) NULL,
+  duration INT NOT NULL,
+  end_reason VARCHAR(20) DEFAULT 'timeout',
+  started_at TIMESTAMP NULL,
+  ended_at TIMESTAMP NULL
+);
+
+-- 🧑‍🤝‍🧑 PK 參戰主播（2-4 位；position 為畫面順序，left_early 代表比賽中途離開）
+CREATE TABLE IF NOT EXISTS pk_match_hosts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL,
+  owner_id VARCHAR(100) NOT NULL,
+  origin_room VARCHAR(100),
+  position INT NOT NULL DEFAULT 0,
+  votes INT DEFAULT 0,
+  left_early BOOLEAN DEFAULT FALSE,
+  UNIQUE KEY uniq_pk_host (room_id, owner_id),
+  INDEX idx_pk_host_owner (owner_id)
+);
+
+-- 🎬 直播回放（主播端 MediaRecorder 上傳，結束後接成一個檔案；segments 為各段錄影的起訖時間 ms，用來對齊聊天紀錄）
+CREATE TABLE IF NOT EXISTS recordings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL,
+  user_id INT NOT NULL,
+  title VARCHAR(100),
+  file_path VARCHAR(255),
+  cover VARCHAR(255),
+  mime_type VARCHAR(50),
+  duration_seconds INT DEFAULT 0,
+  size_bytes BIGINT DEFAULT 0,
+  segments TEXT,
+  status ENUM('recording','processing','ready','failed') DEFAULT 'recording',
+  started_at TIMESTAMP(3) NULL,
+  ended_at TIMESTAMP(3) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_recordings_status (status, id),
+  INDEX idx_recordings_room (room_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 🖼️ 場景（主播自訂的畫面疊加圖層；layers 為 JSON：文字、Logo、倒數計時、觀看人數、熱門表情，position 決定快捷鍵順序）
+CREATE TABLE IF NOT EXISTS scenes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  layers TEXT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_scenes_user (user_id, position),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 🎁 禮物目錄（icon 為 emoji 或圖片路徑；active = FALSE 的禮物不再顯示也不能送出）
+CREATE TABLE IF NOT EXISTS gifts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  icon VARCHAR(255) NOT NULL,
+  price DECIMAL(10,2) NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  active BOOLEAN DEFAULT TRUE
+);
+
+INSERT INTO gifts (name, icon, price, position) VALUES
+  ('玫瑰', '🌹', 1.00, 1),
+  ('愛心', '💝', 5.00, 2),
+  ('蛋糕', '🎂', 20.00, 3),
+  ('跑車', '🏎️', 100.00, 4),
+  ('火箭', '🚀', 500.00, 5);
+
+-- 💰 金流紀錄（每筆餘額異動一列：from 扣款、to 入帳，另一方為 NULL 代表平台；amount 為總金額）
+-- 任一使用者的 users.balance 應等於 to 的加總 − from 的加總；ref_id 指向 topups / payouts；idempotency_key 防止同一操作重送兩次
+CREATE TABLE IF NOT EXISTS transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  type ENUM('gift','pk-vote','topup','payout','payout-reversal') NOT NULL,
+  from_user_id INT NULL,
+  to_user_id INT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  gift_id INT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  room_id VARCHAR(100),
+  ref_id INT NULL,
+  idempotency_key VARCHAR(64) NULL,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_tx_from (from_user_id, id),
+  INDEX idx_tx_to (to_user_id, id),
+  UNIQUE KEY uniq_tx_idempotency (from_user_id, idempotency_key),
+  FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (gift_id) REFERENCES gifts(id) ON DELETE SET NULL
+);
+
+-- 💳 儲值單（pending → completed / failed；provider_ref 為金流供應商的付款編號）
+CREATE TABLE IF NOT EXISTS topups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  provider VARCHAR(30) NOT NULL,
+  provider_ref VARCHAR(100),
+  status ENUM('pending','completed','failed') NOT NULL DEFAULT 'pending',
+  idempotency_key VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL DEFAULT NULL,
+  UNIQUE KEY uniq_topup_idempotency (user_id, idempotency_key),
+  INDEX idx_topup_provider_ref (provider, provider_ref),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 🏦 主播提領申請（申請時即從餘額保留；管理員核准後撥款，退回時退款）
+CREATE TABLE IF NOT EXISTS payouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  status ENUM('pending','processing','approved','rejected') NOT NULL DEFAULT 'pending',
+  provider_ref VARCHAR(100),
+  note VARCHAR(255),
+  idempotency_key VARCHAR(64) NOT NULL,
+  reviewed_by INT NULL,
+  reviewed_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_payout_idempotency (user_id, idempotency_key),
+  INDEX idx_payout_status (status, id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ⭐ 追蹤關係（follower 追蹤 followee）
+CREATE TABLE IF NOT EXISTS follows (
+  follower_id INT NOT NULL,
+  followee_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (follower_id, followee_id),
+  INDEX idx_follows_followee (followee_id),
+  FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (followee_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 🔔 通知收件匣（type = live：追蹤的主播開播，room_id 為開播的直播間；read_at 為 NULL 代表未讀）
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type ENUM('live') NOT NULL,
+  actor_id INT NULL,
+  room_id VARCHAR(100),
+  title VARCHAR(100),
+  read_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_user (user_id, id),
+  INDEX idx_notifications_actor (actor_id, room_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- 🏷️ Hashtag 表（tag_name 為正規化後的標籤：小寫、不含 #；usage_count 為累計使用次數）
 CREATE TABLE IF NOT EXISTS hashtags (
   id INT AUTO_INCREMENT PRIMARY KEY,
   tag_name VARCHAR(50) NOT NULL UNIQUE,
   usage_count INT DEFAULT 1,
+  last_used_at TIMESTAMP NULL DEFAULT NULL,
   vector_x FLOAT DEFAULT 0,
   vector_y FLOAT DEFAULT 0,
   vector_z FLOAT DEFAULT 0
 );
+
+-- 🔖 直播標籤（直播與 hashtag 的多對多對應，取代 streams.hashtags 自由文字）
+CREATE TABLE IF NOT EXISTS stream_hashtags (
+  stream_id INT NOT NULL,
+  hashtag_id INT NOT NULL,
+  PRIMARY KEY (stream_id, hashtag_id),
+  INDEX idx_stream_hashtags_tag (hashtag_id, stream_id),
+  FOREIGN KEY (stream_id) REFERENCES streams(id) ON DELETE CASCADE,
+  FOREIGN KEY (hashtag_id) REFERENCES hashtags(id) ON DELETE CASCADE
+);
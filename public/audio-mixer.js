@@ -0,0 +1,365 @@
+/* audio-mixer.js
+AudioMixer: Web Audio mixing for the broadcaster (used alongside FilterManager)
+- Sources: microphone (from getUserMedia), an uploaded music playlist and reaction sound effects
+- Per-source gain / mute, microphone noise-suppression toggle and a level meter for each source + master
+- Exposes getOutputTrack(): the mixed audio track sent to viewers (MediaStreamAudioDestinationNode)
+
+Design notes:
+- Browsers keep an AudioContext suspended until a user gesture. Until it runs, getOutputTrack() returns the raw
+  microphone track; once it starts, onoutputchange(track) fires so callers can replaceTrack() on their senders.
+- Sound effects are synthesized with oscillators, so no audio assets are needed.
+- Music / effects are not played on the local speakers unless monitoring is enabled (avoids mic feedback).
+*/
+
+// 同一種音效最短間隔（ms），避免大量 reaction 同時湧入時音效疊成噪音
+const SFX_MIN_INTERVAL_MS = 150;
+// reaction 類型 → 合成音效：[頻率(Hz), 開始時間(s), 長度(s)]，type 為振盪器波形
+const SFX_PRESETS = {
+  heart: { type: 'sine', notes: [[880, 0, 0.12], [1175, 0.1, 0.18]] },
+  laugh: { type: 'triangle', notes: [[660, 0, 0.07], [784, 0.08, 0.07], [660, 0.16, 0.07], [784, 0.24, 0.09]] },
+  cry: { type: 'sine', notes: [[523, 0, 0.25], [440, 0.22, 0.35]] },
+  like: { type: 'square', notes: [[988, 0, 0.08], [1319, 0.07, 0.12]] }
+};
+
+class AudioMixer {
+  constructor(micStream, opts = {}) {
+    this.micStream = micStream;
+    this.micTrack = micStream.getAudioTracks()[0] || null;
+    this.onoutputchange = null; // (track) => void, called when the mixed track becomes usable
+    this.playlist = []; // [{ name, url }]
+    this.trackIndex = -1;
+    this.monitoring = false;
+    this.noiseSuppression = true;
+    this._lastSfx = {};
+
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    this.ctx = new Ctx();
+    this.destination = this.ctx.createMediaStreamDestination();
+    this.master = this.ctx.createGain();
+    this.masterMeter = this._createMeter(this.master);
+    this.master.connect(this.destination);
+    // local monitoring of music + effects only (never the microphone)
+    this.monitor = this.ctx.createGain();
+    this.monitor.gain.value = 0;
+    this.monitor.connect(this.ctx.destination);
+
+    // per-source chains: source -> gain -> (meter) -> master
+    this.sources = {
+      mic: this._createChannel('🎤 麥克風', opts.micVolume != null ? opts.micVolume : 1, false),
+      music: this._createChannel('🎵 音樂', opts.musicVolume != null ? opts.musicVolume : 0.4, true),
+      sfx: this._createChannel('🔔 音效', opts.sfxVolume != null ? opts.sfxVolume : 0.6, true)
+    };
+    if (this.micTrack) this.ctx.createMediaStreamSource(micStream).connect(this.sources.mic.gain);
+
+    // music player: one <audio> element routed through Web Audio
+    this.musicEl = new Audio();
+    this.musicEl.crossOrigin = 'anonymous';
+    this.musicEl.addEventListener('ended', () => this.nextTrack());
+    this.ctx.createMediaElementSource(this.musicEl).connect(this.sources.music.gain);
+
+    this._createUI();
+    this._startMeters();
+
+    // AudioContext 需要使用者操作後才會開始運作
+    this.ctx.onstatechange = () => {
+      this._updateStateHint();
+      if (this.ctx.state === 'running' && typeof this.onoutputchange === 'function') this.onoutputchange(this.getOutputTrack());
+    };
+    const resume = () => { if (this.ctx.state !== 'running') this.ctx.resume().catch(() => {}); };
+    document.addEventListener('pointerdown', resume, { capture: true });
+    document.addEventListener('keydown', resume, { capture: true });
+    resume();
+  }
+
+  // mixed track once the AudioContext runs; the raw microphone until then so viewers are never silent
+  getOutputTrack() {
+    if (this.ctx.state === 'running') return this.destination.stream.getAudioTracks()[0];
+    return this.micTrack;
+  }
+
+  _createChannel(label, volume, monitored) {
+    const gain = this.ctx.createGain();
+    gain.gain.value = volume;
+    gain.connect(this.master);
+    if (monitored) gain.connect(this.monitor);
+    return { label, gain, volume, muted: false, meter: this._createMeter(gain) };
+  }
+
+  _createMeter(node) {
+    const analyser = this.ctx.createAnalyser();
+    analyser.fftSize = 512;
+    node.connect(analyser);
+    return { analyser, data: new Float32Array(analyser.fftSize), level: 0 };
+  }
+
+  setVolume(name, volume) {
+    const ch = this.sources[name];
+    if (!ch) return;
+    ch.volume = volume;
+    if (!ch.muted) ch.gain.gain.setTargetAtTime(volume, this.ctx.currentTime, 0.02);
+  }
+
+  setMuted(name, muted) {
+    const ch = this.sources[name];
+    if (!ch) return;
+    ch.muted = muted;
+    ch.gain.gain.setTargetAtTime(muted ? 0 : ch.volume, this.ctx.currentTime, 0.02);
+  }
+
+  setMonitoring(on) {
+    this.monitoring = on;
+    this.monitor.gain.setTargetAtTime(on ? 1 : 0, this.ctx.currentTime, 0.02);
+  }
+
+  // 麥克風降噪：交給瀏覽器的音訊處理（不支援的瀏覽器會回傳 false）
+  async setNoiseSuppression(on) {
+    if (!this.micTrack) return false;
+    try {
+      await this.micTrack.applyConstraints({ noiseSuppression: on, echoCancellation: true, autoGainControl: on });
+      this.noiseSuppression = on;
+      return true;
+    } catch (e) {
+      console.warn('⚠️ noiseSuppression constraint not supported:', e);
+      return false;
+    }
+  }
+
+  // ===== music playlist =====
+  addMusicFiles(files) {
+    Array.from(files || []).forEach(f => {
+      if (!f.type.startsWith('audio/')) return;
+      this.playlist.push({ name: f.name, url: URL.createObjectURL(f) });
+    });
+    if (this.trackIndex < 0 && this.playlist.length) this.trackIndex = 0;
+    this._renderPlaylist();
+  }
+
+  removeTrack(index) {
+    const [item] = this.playlist.splice(index, 1);
+    if (!item) return;
+    URL.revokeObjectURL(item.url);
+    if (index === this.trackIndex) {
+      this.musicEl.pause();
+      this.musicEl.removeAttribute('src');
+      this.trackIndex = this.playlist.length ? Math.min(index, this.playlist.length - 1) : -1;
+    } else if (index < this.trackIndex) {
+      this.trackIndex--;
+    }
+    this._renderPlaylist();
+  }
+
+  playTrack(index) {
+    const item = this.playlist[index];
+    if (!item) return;
+    this.ctx.resume().catch(() => {});
+    this.trackIndex = index;
+    if (this.musicEl.src !== item.url) this.musicEl.src = item.url;
+    this.musicEl.play().catch(e => console.warn('⚠️ music play failed:', e));
+    this._renderPlaylist();
+  }
+
+  toggleMusic() {
+    if (!this.playlist.length) return;
+    if (this.musicEl.paused) this.playTrack(Math.max(0, this.trackIndex));
+    else this.musicEl.pause();
+    this._renderPlaylist();
+  }
+
+  nextTrack() {
+    if (!this.playlist.length) return;
+    this.playTrack((this.trackIndex + 1) % this.playlist.length);
+  }
+
+  // ===== reaction sound effects =====
+  playEffect(type) {
+    const preset = SFX_PRESETS[type];
+    if (!preset || this.ctx.state !== 'running' || this.sources.sfx.muted) return;
+    const now = performance.now();
+    if (now - (this._lastSfx[type] || 0) < SFX_MIN_INTERVAL_MS) return;
+    this._lastSfx[type] = now;
+    const t0 = this.ctx.currentTime;
+    preset.notes.forEach(([freq, start, len]) => {
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.type = preset.type;
+      osc.frequency.value = freq;
+      // short attack / exponential release so effects don't click
+      env.gain.setValueAtTime(0.0001, t0 + start);
+      env.gain.exponentialRampToValueAtTime(0.5, t0 + start + 0.01);
+      env.gain.exponentialRampToValueAtTime(0.0001, t0 + start + len);
+      osc.connect(env);
+      env.connect(this.sources.sfx.gain);
+      osc.start(t0 + start);
+      osc.stop(t0 + start + len + 0.02);
+    });
+  }
+
+  // ===== meters =====
+  _readLevel(meter) {
+    meter.analyser.getFloatTimeDomainData(meter.data);
+    let sum = 0;
+    for (let i = 0; i < meter.data.length; i++) sum += meter.data[i] * meter.data[i];
+    const rms = Math.sqrt(sum / meter.data.length);
+    // map -60..0 dBFS to 0..1 with a little decay so the bar doesn't flicker
+    const level = rms > 0 ? Math.max(0, Math.min(1, (20 * Math.log10(rms) + 60) / 60)) : 0;
+    meter.level = Math.max(level, meter.level * 0.85);
+    return meter.level;
+  }
+
+  _startMeters() {
+    // meters only matter while the page is visible; a plain timer is enough
+    setInterval(() => {
+      if (document.hidden || !this.ui) return;
+      Object.entries(this.sources).forEach(([name, ch]) => {
+        const bar = this.ui.querySelector(`.mixer-row[data-source="${name}"] .mixer-meter span`);
+        if (bar) bar.style.width = `${Math.round(this._readLevel(ch.meter) * 100)}%`;
+      });
+      const masterBar = this.ui.querySelector('.mixer-master .mixer-meter span');
+      if (masterBar) masterBar.style.width = `${Math.round(this._readLevel(this.masterMeter) * 100)}%`;
+    }, 80);
+  }
+
+  // ===== UI =====
+  _createUI() {
+    const panel = document.createElement('div');
+    panel.className = 'mixer-panel';
+    panel.innerHTML = `
+      <button class="mixer-toggle">🎚️ 混音</button>
+      <div class="mixer-card hidden">
+        <small class="mixer-state"></small>
+        ${Object.entries(this.sources).map(([name, ch]) => `
+          <div class="mixer-row" data-source="${name}">
+            <span class="mixer-label">${ch.label}</span>
+            <input type="range" class="mixer-volume" min="0" max="1.5" step="0.01" value="${ch.volume}">
+            <button class="mixer-mute" title="靜音">🔈</button>
+            <div class="mixer-meter"><span></span></div>
+          </div>`).join('')}
+        <div class="mixer-row mixer-master">
+          <span class="mixer-label">🔊 輸出</span>
+          <div class="mixer-meter"><span></span></div>
+        </div>
+        <label><input type="checkbox" class="mixer-ns" checked> 麥克風降噪</label>
+        <label><input type="checkbox" class="mixer-monitor"> 🎧 監聽音樂 / 音效</label>
+        <h3>背景音樂</h3>
+        <input type="file" class="mixer-files" accept="audio/*" multiple>
+        <div class="mixer-transport">
+          <button class="mixer-play">▶️ 播放</button>
+          <button class="mixer-next">⏭️ 下一首</button>
+        </div>
+        <ol class="mixer-playlist"></ol>
+        <h3>音效測試</h3>
+        <div class="mixer-sfx">
+          ${Object.keys(SFX_PRESETS).map(type => `<button data-sfx="${type}">${{ heart: '💖', laugh: '😄', cry: '😢', like: '👍' }[type] || type}</button>`).join('')}
+        </div>
+      </div>
+    `;
+    const container = document.getElementById('filterBtnContainer');
+    if (container) {
+      container.appendChild(panel);
+    } else {
+      document.body.appendChild(panel);
+    }
+    this.ui = panel;
+    const card = panel.querySelector('.mixer-card');
+    panel.querySelector('.mixer-toggle').addEventListener('click', () => card.classList.toggle('hidden'));
+
+    panel.querySelectorAll('.mixer-row[data-source]').forEach(row => {
+      const name = row.dataset.source;
+      row.querySelector('.mixer-volume').addEventListener('input', e => this.setVolume(name, Number(e.target.value)));
+      const muteBtn = row.querySelector('.mixer-mute');
+      muteBtn.addEventListener('click', () => {
+        this.setMuted(name, !this.sources[name].muted);
+        muteBtn.textContent = this.sources[name].muted ? '🔇' : '🔈';
+        muteBtn.classList.toggle('active', this.sources[name].muted);
+      });
+    });
+    const nsBox = panel.querySelector('.mixer-ns');
+    nsBox.addEventListener('change', async e => {
+      const ok = await this.setNoiseSuppression(e.target.checked);
+      if (!ok) {
+        e.target.checked = this.noiseSuppression;
+        alert('此瀏覽器不支援切換降噪');
+      }
+    });
+    panel.querySelector('.mixer-monitor').addEventListener('change', e => this.setMonitoring(e.target.checked));
+    panel.querySelector('.mixer-files').addEventListener('change', e => {
+      this.addMusicFiles(e.target.files);
+      e.target.value = '';
+    });
+    panel.querySelector('.mixer-play').addEventListener('click', () => this.toggleMusic());
+    panel.querySelector('.mixer-next').addEventListener('click', () => this.nextTrack());
+    this.musicEl.addEventListener('play', () => this._renderPlaylist());
+    this.musicEl.addEventListener('pause', () => this._renderPlaylist());
+    panel.querySelectorAll('.mixer-sfx button').forEach(btn => {
+      btn.addEventListener('click', () => this.playEffect(btn.dataset.sfx));
+    });
+
+    this._renderPlaylist();
+    this._updateStateHint();
+
+    if (!document.getElementById('mixer-styles')) {
+      const s = document.createElement('style');
+      s.id = 'mixer-styles';
+      s.textContent = `
+      .mixer-panel { position: relative; display: inline-block; margin-left: 8px; }
+      .mixer-panel .mixer-toggle { background:#6A5ACD;color:#fff;border:none;padding:10px 16px;border-radius:8px;cursor:pointer;box-shadow: 0 2px 8px rgba(106,90,205,0.3); }
+      .mixer-card { background: rgba(0,0,0,0.9); color:#fff; padding:12px; border-radius:8px; margin-top:8px; width:300px; position:absolute; left:0; z-index:100; }
+      .mixer-card.hidden { display:none }
+      .mixer-card h3 { margin:10px 0 4px; font-size:14px; }
+      .mixer-card label { display:block; margin:4px 0; font-size:13px; }
+      .mixer-row { display:grid; grid-template-columns: 70px 1fr 32px; align-items:center; gap:4px 6px; margin:6px 0; font-size:13px; }
+      .mixer-row .mixer-meter { grid-column: 1 / -1; height:6px; background:#333; border-radius:3px; overflow:hidden; }
+      .mixer-row .mixer-meter span { display:block; height:100%; width:0; background:linear-gradient(90deg,#43a047,#fdd835 70%,#e53935); transition:width 80ms linear; }
+      .mixer-mute { border:none; border-radius:6px; cursor:pointer; padding:2px 4px; }
+      .mixer-mute.active { background:#e53935; }
+      .mixer-state { display:block; color:#FFCC99; margin-bottom:4px; }
+      .mixer-transport button, .mixer-sfx button { margin:4px 4px 0 0; padding:4px 8px; border:none; border-radius:6px; cursor:pointer; }
+      .mixer-playlist { margin:6px 0 0; padding-left:18px; max-height:120px; overflow:auto; font-size:12px; }
+      .mixer-playlist li { cursor:pointer; margin:2px 0; }
+      .mixer-playlist li.current { color:#FF6B35; font-weight:bold; }
+      .mixer-playlist li button { margin-left:6px; border:none; background:none; color:#ccc; cursor:pointer; }
+      `;
+      document.head.appendChild(s);
+    }
+  }
+
+  _renderPlaylist() {
+    if (!this.ui) return;
+    const list = this.ui.querySelector('.mixer-playlist');
+    list.innerHTML = '';
+    if (!this.playlist.length) {
+      const li = document.createElement('li');
+      li.textContent = '尚未加入音樂';
+      li.style.color = '#ccc';
+      li.style.cursor = 'default';
+      list.appendChild(li);
+    }
+    this.playlist.forEach((item, i) => {
+      const li = document.createElement('li');
+      li.textContent = item.name;
+      li.title = '點擊播放';
+      if (i === this.trackIndex) li.classList.add('current');
+      li.addEventListener('click', () => this.playTrack(i));
+      const rm = document.createElement('button');
+      rm.textContent = '✕';
+      rm.title = '移除';
+      rm.addEventListener('click', e => {
+        e.stopPropagation();
+        this.removeTrack(i);
+      });
+      li.appendChild(rm);
+      list.appendChild(li);
+    });
+    this.ui.querySelector('.mixer-play').textContent = this.musicEl.paused ? '▶️ 播放' : '⏸️ 暫停';
+  }
+
+  _updateStateHint() {
+    if (!this.ui) return;
+    const hint = this.ui.querySelector('.mixer-state');
+    hint.textContent = this.ctx.state === 'running' ? '' : '點擊頁面任一處以啟用混音（目前僅傳送麥克風）';
+    hint.style.display = hint.textContent ? 'block' : 'none';
+  }
+}
+
+// export for browser
+window.AudioMixer = AudioMixer;
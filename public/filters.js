@@ -5,11 +5,27 @@ FilterManager: manages video filters for broadcaster
 - Exposes getProcessedStream() returning canvas.captureStream() (video). Keep audio track from original getUserMedia stream.
 
 Design notes:
-- Fixed filters: implemented using CanvasRenderingContext2D.filter (CSS filter strings like 'grayscale(0.3) contrast(1.2)')
+- Filters come from the ShaderFilters registry (gl-filters.js). With WebGL the camera frame goes through the shader
+  chain on the GPU and overlays (sticker, scenes) are drawn on a 2D layer that is blended on top.
+  Without WebGL the canvas is a plain 2D canvas and filters fall back to CanvasRenderingContext2D.filter
+  (each filter's css string); shader-only filters are disabled in that mode.
 - Face/sticker filter: user uploads square image and can drag/scale it. (No automatic face-detection here; manual placement is supported. Placeholder code left for future face-tracking integration.)
 - Interactive filter: simple animated overlay (scanlines) that toggles when active.
+- Screen share: startScreenShare() swaps the main source to getDisplayMedia and draws the camera as a
+  draggable / resizable picture-in-picture. The canvas track never changes, so peers need no renegotiation.
+  The PiP frame and resize handle are editing controls: they go on a preview-only layer (bindPreview), never on
+  this.canvas, so viewers and recordings only see the camera itself.
+- Scene overlays: setOverlays(layers) draws text / image / countdown / live-value layers on top (see scenes.js).
 */
 
+// 分享螢幕時畫布的最大尺寸（超過時等比例縮小，避免 4K 螢幕拖慢編碼）
+const SCREEN_MAX_WIDTH = 1920;
+const SCREEN_MAX_HEIGHT = 1080;
+// 子母畫面鏡頭寬度（佔畫布寬度的比例）上下限
+const PIP_MIN_WIDTH = 0.1;
+const PIP_MAX_WIDTH = 0.6;
+
+
 class FilterManager {
   constructor(videoEl, originalStream, opts = {}) {
     this.video = videoEl; // source video element showing raw camera stream
@@ -23,17 +39,51 @@ class FilterManager {
     this.canvas = document.createElement('canvas');
     this.canvas.width = this.width;
     this.canvas.height = this.height;
-    this.ctx = this.canvas.getContext('2d');
+    // WebGL renderer when available (opts.webgl === false forces the Canvas2D path);
+    // in WebGL mode this.ctx draws on a separate overlay layer instead of the output canvas
+    this.renderer = null;
+    if (opts.webgl !== false && window.GLRenderer) {
+      try {
+        this.renderer = new GLRenderer(this.canvas);
+      } catch (e) {
+        console.warn('⚠️ WebGL renderer unavailable, falling back to Canvas2D:', e);
+      }
+    }
+    if (this.renderer) {
+      this.overlayCanvas = document.createElement('canvas');
+      this.overlayCanvas.width = this.width;
+      this.overlayCanvas.height = this.height;
+      this.ctx = this.overlayCanvas.getContext('2d');
+    } else {
+      this.ctx = this.canvas.getContext('2d');
+    }
   // append hidden canvas to DOM so captureStream works consistently across browsers
   this.canvas.style.display = 'none';
   document.body.appendChild(this.canvas);
 
     // current settings
-    this.currentFilter = null; // string for ctx.filter
+    this.currentFilter = null; // string for ctx.filter (Canvas2D fallback, built from the active filters' css)
+    this.activeFilters = new Set(); // ShaderFilters ids
+    this.filterParams = {}; // id -> params, kept when a filter is switched off so tweaks survive
+    this.onframe = null; // called once per rendered frame (e.g. MobileFix performance monitor)
     this.stickerImg = null; // HTMLImageElement
     this.sticker = { x: 50, y: 50, w: 120, h: 120, visible: false, dragging: false, scale: 1 };
     this.interactiveOn = false;
     this.animStart = null;
+    // screen share state: when screenVideo is set it becomes the main layer and the camera moves into the PiP box
+    this.screenStream = null;
+    this.screenVideo = null;
+    // PiP box in canvas fractions so it survives resolution changes when switching sources
+    this.pip = { x: 0.72, y: 0.7, w: 0.25, visible: true, dragging: false, resizing: false };
+    this._ticker = null; // worker timer used while the tab is hidden (rAF pauses in background tabs)
+    // scene overlays (set by SceneManager): layer positions/sizes are canvas fractions, live values come from overlayData
+    this.overlays = [];
+    this.overlayData = { viewerCount: 0, topReaction: '' };
+    this.overlayStart = 0; // countdown timers run from the moment the scene is activated
+    this.onoverlaymove = null; // (index, layer) => void, called after a layer is dragged / resized on the preview
+    this._overlayImages = new Map(); // src -> HTMLImageElement
+    this._overlayBoxes = []; // last drawn box per layer (canvas px), used for hit testing
+    this._overlayDrag = -1;
   // face detection state
   this.faceMesh = null;
   this.faceReady = false;
@@ -55,39 +105,192 @@ class FilterManager {
     this._startLoop();
   }
 
+  isWebGL() {
+    return !!this.renderer;
+  }
+
+  // 開關濾鏡；color 群組同時只能選一個。沒有 WebGL 時只能用有 css 備援的濾鏡
+  setFilter(id, on = true) {
+    const def = window.ShaderFilters && ShaderFilters.get(id);
+    if (!def) return false;
+    if (on) {
+      if (!this.renderer && !def.css) return false;
+      if (def.group === 'color') this.clearFilters('color');
+      this.activeFilters.add(id);
+    } else {
+      this.activeFilters.delete(id);
+    }
+    this._syncCssFilter();
+    this._renderFilterUI();
+    return true;
+  }
+
+  clearFilters(group) {
+    [...this.activeFilters].forEach(id => {
+      const def = ShaderFilters.get(id);
+      if (!group || !def || def.group === group) this.activeFilters.delete(id);
+    });
+    this._syncCssFilter();
+    this._renderFilterUI();
+  }
+
+  setFilterParam(id, key, value) {
+    this._filterParams(id)[key] = value;
+    this._syncCssFilter();
+  }
+
+  _filterParams(id) {
+    if (!this.filterParams[id]) this.filterParams[id] = ShaderFilters.defaultParams(ShaderFilters.get(id));
+    return this.filterParams[id];
+  }
+
+  // active filters in chain order
+  _filterChain() {
+    return [...this.activeFilters]
+      .map(id => ({ id, def: ShaderFilters.get(id), params: this._filterParams(id) }))
+      .filter(f => f.def)
+      .sort((a, b) => a.def.order - b.def.order);
+  }
+
+  _syncCssFilter() {
+    const css = this._filterChain().map(f => ShaderFilters.css(f.def, f.params)).filter(Boolean).join(' ');
+    this.currentFilter = css || null;
+  }
+
   // returns a MediaStream for video (canvas stream)
   getProcessedStream() {
     // capture at specified fps
     return this.canvas.captureStream(this.fps);
   }
 
+  // 分享螢幕 / 視窗：畫面改以螢幕為主，鏡頭縮成子母畫面；使用者按瀏覽器的「停止分享」時自動切回鏡頭
+  async startScreenShare() {
+    if (this.screenStream) return true;
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+      alert('此瀏覽器不支援分享螢幕');
+      return false;
+    }
+    let displayStream;
+    try {
+      displayStream = await navigator.mediaDevices.getDisplayMedia({ video: { frameRate: this.fps }, audio: false });
+    } catch (e) {
+      // user cancelled the picker
+      console.warn('⚠️ getDisplayMedia cancelled or failed:', e);
+      return false;
+    }
+    const screenVideo = document.createElement('video');
+    screenVideo.autoplay = true;
+    screenVideo.muted = true;
+    screenVideo.playsInline = true;
+    screenVideo.style.display = 'none';
+    document.body.appendChild(screenVideo);
+    screenVideo.srcObject = displayStream;
+    screenVideo.play().catch(() => {});
+    const track = displayStream.getVideoTracks()[0];
+    if (track) track.addEventListener('ended', () => this.stopScreenShare());
+    this.screenStream = displayStream;
+    this.screenVideo = screenVideo;
+    this._updateSourceUI();
+    return true;
+  }
+
+  stopScreenShare() {
+    if (!this.screenStream) return;
+    this.screenStream.getTracks().forEach(t => t.stop());
+    if (this.screenVideo) this.screenVideo.remove();
+    this.screenStream = null;
+    this.screenVideo = null;
+    this.pip.dragging = this.pip.resizing = false;
+    this._updateSourceUI();
+  }
+
+  isScreenSharing() {
+    return !!this.screenStream;
+  }
+
+  // 鏡頭在畫布上的位置（px）：一般模式為整個畫布，分享螢幕時為子母畫面
+  _cameraRect() {
+    const cw = this.canvas.width;
+    const ch = this.canvas.height;
+    if (!this.screenVideo) return { x: 0, y: 0, w: cw, h: ch };
+    const aspect = (this.video.videoWidth || this.width) / (this.video.videoHeight || this.height);
+    const w = this.pip.w * cw;
+    const h = w / aspect;
+    // keep the box inside the canvas after resizes / resolution changes
+    this.pip.x = Math.min(Math.max(this.pip.x, 0), Math.max(0, 1 - this.pip.w));
+    this.pip.y = Math.min(Math.max(this.pip.y, 0), Math.max(0, 1 - h / ch));
+    return { x: this.pip.x * cw, y: this.pip.y * ch, w, h };
+  }
+
+  // run the next frame with rAF, or with a worker timer while the tab is hidden
+  // (the broadcaster usually switches to the shared window, and background tabs pause rAF)
+  _nextFrame(draw) {
+    if (!this.screenVideo || !document.hidden) {
+      requestAnimationFrame(draw);
+      return;
+    }
+    if (!this._ticker) {
+      const src = `let id=null;onmessage=e=>{clearTimeout(id);id=setTimeout(()=>postMessage(0),e.data);};`;
+      this._ticker = new Worker(URL.createObjectURL(new Blob([src], { type: 'text/javascript' })));
+    }
+    this._ticker.onmessage = () => draw(performance.now());
+    this._ticker.postMessage(1000 / this.fps);
+  }
+
   _startLoop() {
     const draw = (t) => {
-      if (!this.video || this.video.readyState < 2) {
-        requestAnimationFrame(draw);
+      const main = this.screenVideo || this.video;
+      if (!main || main.readyState < 2) {
+        this._nextFrame(draw);
         return;
       }
 
-      // sync canvas size to video display size if changed
-      const vw = this.video.videoWidth || this.width;
-      const vh = this.video.videoHeight || this.height;
+      // sync canvas size to the main source size if changed (screens are scaled down to fit SCREEN_MAX_*)
+      let vw = main.videoWidth || this.width;
+      let vh = main.videoHeight || this.height;
+      if (this.screenVideo) {
+        const fit = Math.min(1, SCREEN_MAX_WIDTH / vw, SCREEN_MAX_HEIGHT / vh);
+        vw = Math.round(vw * fit / 2) * 2;
+        vh = Math.round(vh * fit / 2) * 2;
+      }
       if (this.canvas.width !== vw || this.canvas.height !== vh) {
         this.canvas.width = vw;
         this.canvas.height = vh;
       }
+      if (this.overlayCanvas && (this.overlayCanvas.width !== vw || this.overlayCanvas.height !== vh)) {
+        this.overlayCanvas.width = vw;
+        this.overlayCanvas.height = vh;
+      }
+
+      // picture-in-picture camera on top of the shared screen
+      const pipRect = this.screenVideo && this.pip.visible && this.video && this.video.readyState >= 2 ? this._cameraRect() : null;
 
-      // apply filter
       this.ctx.save();
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-      this.ctx.filter = this.currentFilter || 'none';
+      if (this.renderer) {
+        // video + shader filters on the GPU; this.ctx only holds the overlay layer
+        this._renderBaseGL(pipRect);
+      } else {
+        // apply filter
+        this.ctx.filter = this.currentFilter || 'none';
+
+        // draw video
+        try {
+          this.ctx.drawImage(main, 0, 0, this.canvas.width, this.canvas.height);
+        } catch (e) {
+          // ignore if video not ready
+        }
 
-      // draw video
-      try {
-        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-      } catch (e) {
-        // ignore if video not ready
+        if (pipRect) {
+          try {
+            this.ctx.drawImage(this.video, pipRect.x, pipRect.y, pipRect.w, pipRect.h);
+          } catch (e) {}
+        }
       }
 
+      // PiP frame + resize handle (preview layer only)
+      this._drawPreviewControls(pipRect);
+
       this.ctx.filter = 'none';
 
       // interactive overlay
@@ -111,30 +314,67 @@ class FilterManager {
             if (p.x > maxX) maxX = p.x;
             if (p.y > maxY) maxY = p.y;
           }
-          // map to canvas pixels
+          // map to canvas pixels (landmarks are relative to the camera frame, which may be the PiP box)
           const pad = 0.15; // padding relative to face bbox
+          const cam = this._cameraRect();
           const cx = (minX + maxX) / 2;
           const cy = (minY + maxY) / 2;
           const bw = (maxX - minX);
           const bh = (maxY - minY);
-          const wPx = (bw * (1 + pad * 2)) * this.canvas.width;
-          const hPx = (bh * (1 + pad * 2)) * this.canvas.height;
-          const xPx = (cx * this.canvas.width) - (wPx / 2);
-          const yPx = (cy * this.canvas.height) - (hPx / 2);
-          // draw the sticker centered on face bbox
-          this.ctx.drawImage(this.stickerImg, xPx, yPx, wPx, hPx);
+          const wPx = (bw * (1 + pad * 2)) * cam.w;
+          const hPx = (bh * (1 + pad * 2)) * cam.h;
+          const xPx = cam.x + (cx * cam.w) - (wPx / 2);
+          const yPx = cam.y + (cy * cam.h) - (hPx / 2);
+          // draw the sticker centered on face bbox (skip when the camera PiP is hidden)
+          if (!this.screenVideo || this.pip.visible) this.ctx.drawImage(this.stickerImg, xPx, yPx, wPx, hPx);
         } else {
           this.ctx.drawImage(this.stickerImg, this.sticker.x, this.sticker.y, this.sticker.w * this.sticker.scale, this.sticker.h * this.sticker.scale);
         }
       }
 
+      // scene overlays stay on top of everything else
+      if (this.overlays.length) this._drawOverlays(performance.now());
+
       this.ctx.restore();
 
-      requestAnimationFrame(draw);
+      // blend the overlay layer only when something was drawn on it
+      if (this.renderer && !this.renderer.lost && (this.interactiveOn || (this.stickerImg && this.sticker.visible) || this.overlays.length)) {
+        this.renderer.draw(this.renderer.upload('overlay', this.overlayCanvas), undefined, true);
+      }
+      if (this.onframe) this.onframe();
+
+      this._nextFrame(draw);
     };
     requestAnimationFrame(draw);
   }
 
+  // WebGL path: camera through the filter chain, then screen / PiP / chroma key background composited on the output canvas
+  _renderBaseGL(pipRect) {
+    const r = this.renderer;
+    if (r.lost) return;
+    const cw = this.canvas.width;
+    const ch = this.canvas.height;
+    let camTex = null;
+    if ((!this.screenVideo || pipRect) && this.video.readyState >= 2) {
+      camTex = r.applyFilters(
+        r.upload('camera', this.video),
+        this.video.videoWidth || this.width,
+        this.video.videoHeight || this.height,
+        this._filterChain()
+      );
+    }
+    r.clear();
+    if (this.screenVideo) {
+      r.draw(r.upload('screen', this.screenVideo));
+      if (camTex) r.draw(camTex, [pipRect.x / cw, pipRect.y / ch, pipRect.w / cw, pipRect.h / ch], true);
+      return;
+    }
+    // keyed-out camera pixels show the chroma key background image (black when none is set)
+    const keyBackground = this.activeFilters.has('chromakey') && this._filterParams('chromakey').background;
+    if (keyBackground) r.draw(r.upload('background', keyBackground, true));
+    if (camTex) r.draw(camTex, undefined, true);
+  }
+
   // Initialize MediaPipe FaceMesh (dynamic CDN load). Sets this.faceReady and this.faceMesh.
   async _initFaceMesh() {
     if (this.faceReady || !this.autoFace) return;
@@ -208,6 +448,79 @@ class FilterManager {
   }
 
 
+  // 套用場景圖層（空陣列即清除）；restartTimers 為 false 時保留倒數進度（例如只是編輯了目前場景）
+  setOverlays(layers, restartTimers = true) {
+    this.overlays = (layers || []).map(l => ({ ...l }));
+    if (restartTimers) this.overlayStart = performance.now();
+    this._overlayBoxes = [];
+    this._overlayDrag = -1;
+    this.overlays.forEach(l => {
+      if (l.type === 'image' && l.src && !this._overlayImages.has(l.src)) {
+        const img = new Image();
+        img.src = l.src;
+        this._overlayImages.set(l.src, img);
+      }
+    });
+  }
+
+  // 即時數值（觀看人數、熱門表情）
+  setOverlayData(data) {
+    Object.assign(this.overlayData, data);
+  }
+
+  _overlayText(layer, now) {
+    switch (layer.type) {
+      case 'text': return layer.text || '';
+      case 'viewers': return `👀 ${this.overlayData.viewerCount || 0}`;
+      case 'reaction': return this.overlayData.topReaction || '';
+      case 'timer': {
+        const left = Math.max(0, Math.ceil(layer.duration - (now - this.overlayStart) / 1000));
+        const time = `${String(Math.floor(left / 60)).padStart(2, '0')}:${String(left % 60).padStart(2, '0')}`;
+        return layer.label ? `${layer.label} ${time}` : time;
+      }
+      default: return '';
+    }
+  }
+
+  _drawOverlays(now) {
+    const ctx = this.ctx;
+    const W = this.canvas.width;
+    const H = this.canvas.height;
+    this._overlayBoxes = this.overlays.map(layer => {
+      const x = layer.x * W;
+      const y = layer.y * H;
+      if (layer.type === 'image') {
+        const img = this._overlayImages.get(layer.src);
+        if (!img || !img.complete || !img.naturalWidth) return null;
+        const w = layer.w * W;
+        const h = w * img.naturalHeight / img.naturalWidth;
+        ctx.drawImage(img, x, y, w, h);
+        return { x, y, w, h };
+      }
+      const text = this._overlayText(layer, now);
+      if (!text) return null;
+      const fontPx = Math.round(layer.size * H);
+      const pad = Math.round(fontPx * 0.3);
+      ctx.save();
+      ctx.font = `bold ${fontPx}px sans-serif`;
+      ctx.textBaseline = 'top';
+      const w = ctx.measureText(text).width + pad * 2;
+      const h = fontPx + pad * 2;
+      if (layer.bg) {
+        ctx.fillStyle = layer.bg;
+        ctx.fillRect(x, y, w, h);
+      } else {
+        // no background box: a soft shadow keeps the text readable on bright video
+        ctx.shadowColor = 'rgba(0,0,0,0.7)';
+        ctx.shadowBlur = Math.max(2, fontPx * 0.15);
+      }
+      ctx.fillStyle = layer.color || '#ffffff';
+      ctx.fillText(text, x + pad, y + pad);
+      ctx.restore();
+      return { x, y, w, h };
+    });
+  }
+
   _drawInteractive(t) {
     // simple scanline animation that moves vertically
     const ctx = this.ctx;
@@ -231,13 +544,19 @@ class FilterManager {
     panel.innerHTML = `
       <button class="filter-toggle">🎨 濾鏡</button>
       <div class="filter-card hidden">
-        <h3>固定濾鏡</h3>
-        <div class="filter-list">
-          <button data-filter="none">無</button>
-          <button data-filter="contrast(1.2) saturate(1.4)">增強色彩</button>
-          <button data-filter="sepia(0.4) contrast(1.05)">泛黃</button>
-          <button data-filter="grayscale(1) contrast(1.1)">黑白</button>
+        <h3>畫面來源</h3>
+        <div class="source-list">
+          <button data-source="camera">📷 鏡頭</button>
+          <button data-source="screen">🖥️ 分享螢幕</button>
         </div>
+        <label class="pip-option"><input type="checkbox" class="pip-toggle" checked> 子母畫面顯示鏡頭</label>
+        <small class="pip-hint">分享螢幕時可在預覽畫面拖曳鏡頭位置，拖曳右下角調整大小</small>
+        <h3>固定濾鏡 <small class="renderer-mode"></small></h3>
+        <div class="filter-list" data-group="color"></div>
+        <label class="lut-option">匯入 LUT（512×512 PNG）<input type="file" class="lut-input" accept="image/png"></label>
+        <h3>特效</h3>
+        <div class="filter-list" data-group="effect"></div>
+        <div class="filter-params"></div>
         <h3>臉部濾鏡 / 貼紙</h3>
         <input type="file" class="sticker-input" accept="image/*"><br>
         <small>上傳 1:1 照片作為貼紙，拖曳調整位置/大小</small>
@@ -344,12 +663,35 @@ class FilterManager {
     // events
     this.uiToggle.addEventListener('click', () => this.uiCard.classList.toggle('hidden'));
 
-    this.uiCard.querySelectorAll('.filter-list button').forEach(btn => {
+    this.uiCard.querySelectorAll('.source-list button').forEach(btn => {
       btn.addEventListener('click', (e) => {
-        const f = e.currentTarget.dataset.filter;
-        this.currentFilter = f === 'none' ? null : f;
+        if (e.currentTarget.dataset.source === 'screen') this.startScreenShare();
+        else this.stopScreenShare();
       });
     });
+    this.uiCard.querySelector('.pip-toggle').addEventListener('change', (e) => {
+      this.pip.visible = e.target.checked;
+    });
+    this._updateSourceUI();
+
+    this.uiCard.querySelector('.renderer-mode').textContent = this.renderer ? 'WebGL' : 'Canvas2D';
+    this.uiCard.querySelector('.lut-option').style.display = this.renderer ? '' : 'none';
+    this.uiCard.querySelector('.lut-input').addEventListener('change', (e) => {
+      const f = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (!f) return;
+      const img = new Image();
+      img.onload = () => {
+        if (img.naturalWidth !== 512 || img.naturalHeight !== 512) {
+          alert('LUT 圖片需為 512×512（8×8 格、每格 64×64）');
+          return;
+        }
+        ShaderFilters.register('lut-custom', ShaderFilters.createLutFilter('自訂 LUT', img));
+        this.setFilter('lut-custom');
+      };
+      img.src = URL.createObjectURL(f);
+    });
+    this._renderFilterUI();
 
     this.stickerInput.addEventListener('change', async (e) => {
       const f = e.target.files && e.target.files[0];
@@ -395,17 +737,179 @@ class FilterManager {
       .filter-card.hidden { display:none }
       .filter-list button { margin:6px 4px; padding:6px 8px; border-radius:6px; border:none; cursor:pointer }
       .filter-list button:hover { transform:translateY(-2px) }
+      .filter-list button.active { background:#FF6B35; color:#fff }
+      .filter-list button:disabled { opacity:.4; cursor:not-allowed; transform:none }
+      .renderer-mode { color:#ccc; font-weight:normal }
+      .lut-option { display:block; margin:2px 4px; font-size:12px; color:#ccc }
+      .filter-params label { display:block; margin:4px; font-size:12px }
+      .filter-params input[type=range] { width:100%; }
       .interactive-toggle { margin-top:8px; padding:8px 10px; border-radius:6px; border:none; cursor:pointer }
       .sticker-input { margin-top:6px }
+      .source-list button { margin:6px 4px; padding:6px 8px; border-radius:6px; border:none; cursor:pointer }
+      .source-list button.active { background:#FF6B35; color:#fff }
+      .pip-option, .pip-hint { display:block; margin:2px 4px; }
+      .pip-hint { color:#ccc }
       `;
       document.head.appendChild(s);
     }
   }
 
-  _bindStickerDrag() {
-    // allow dragging/resizing the sticker with mouse/touch over the canvas
+  // filter buttons come from the ShaderFilters registry; active filters with params get sliders below
+  _renderFilterUI() {
+    if (!this.uiCard || !window.ShaderFilters) return;
+    this.uiCard.querySelectorAll('.filter-list[data-group]').forEach(list => {
+      const group = list.dataset.group;
+      list.innerHTML = '';
+      if (group === 'color') {
+        const noneBtn = document.createElement('button');
+        noneBtn.textContent = '無';
+        noneBtn.classList.toggle('active', !ShaderFilters.list('color').some(def => this.activeFilters.has(def.id)));
+        noneBtn.addEventListener('click', () => this.clearFilters('color'));
+        list.appendChild(noneBtn);
+      }
+      ShaderFilters.list(group).forEach(def => {
+        const btn = document.createElement('button');
+        btn.textContent = def.label;
+        btn.dataset.filter = def.id;
+        btn.classList.toggle('active', this.activeFilters.has(def.id));
+        if (!this.renderer && !def.css) {
+          btn.disabled = true;
+          btn.title = '需要 WebGL';
+        }
+        btn.addEventListener('click', () => this.setFilter(def.id, group === 'color' || !this.activeFilters.has(def.id)));
+        list.appendChild(btn);
+      });
+    });
+
+    const box = this.uiCard.querySelector('.filter-params');
+    box.innerHTML = '';
+    this._filterChain().forEach(({ id, def, params }) => {
+      Object.entries(def.params).forEach(([key, spec]) => {
+        const label = document.createElement('label');
+        label.textContent = `${def.label}・${spec.label} `;
+        const input = document.createElement('input');
+        if (spec.type === 'image') {
+          input.type = 'file';
+          input.accept = 'image/*';
+          input.addEventListener('change', () => {
+            const f = input.files && input.files[0];
+            if (!f) return;
+            const img = new Image();
+            img.onload = () => this.setFilterParam(id, key, img);
+            img.src = URL.createObjectURL(f);
+          });
+        } else if (spec.type === 'color') {
+          input.type = 'color';
+          input.value = params[key];
+          input.addEventListener('input', () => this.setFilterParam(id, key, input.value));
+        } else {
+          input.type = 'range';
+          input.min = spec.min;
+          input.max = spec.max;
+          input.step = spec.step;
+          input.value = params[key];
+          input.addEventListener('input', () => this.setFilterParam(id, key, Number(input.value)));
+        }
+        label.appendChild(input);
+        box.appendChild(label);
+      });
+    });
+  }
+
+  // highlight the active source and only show PiP options while sharing the screen
+  _updateSourceUI() {
+    if (!this.uiCard) return;
+    const source = this.screenStream ? 'screen' : 'camera';
+    this.uiCard.querySelectorAll('.source-list button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.source === source);
+    });
+    this.uiCard.querySelector('.pip-option').style.display = this.screenStream ? '' : 'none';
+    this.uiCard.querySelector('.pip-hint').style.display = this.screenStream ? '' : 'none';
+  }
+
+  // 預覽畫面（例如主播頁的 <video>）也能拖曳貼紙與子母畫面：座標換算回畫布（考慮 object-fit: contain 的黑邊）
+  // 子母畫面的邊框與縮放把手畫在預覽上方的另一層，不會被送給觀眾或錄進回放
+  bindPreview(el) {
+    if (!el) return;
+    this._bindStickerDrag(el);
+    this._createPreviewLayer(el);
+  }
+
+  _createPreviewLayer(el) {
+    const parent = el.parentNode;
+    if (!parent) return;
+    if (getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
+    const layer = document.createElement('canvas');
+    // same box as the preview element; object-fit: contain lines it up with the letterboxed video
+    layer.style.cssText = 'position:absolute;pointer-events:none;object-fit:contain;';
+    el.insertAdjacentElement('afterend', layer);
+    this.previewEl = el;
+    this.previewLayer = layer;
+    this.previewCtx = layer.getContext('2d');
+  }
+
+  _drawPreviewControls(pipRect) {
+    const layer = this.previewLayer;
+    if (!layer) return;
+    const el = this.previewEl;
+    layer.style.left = el.offsetLeft + 'px';
+    layer.style.top = el.offsetTop + 'px';
+    layer.style.width = el.offsetWidth + 'px';
+    layer.style.height = el.offsetHeight + 'px';
+    if (layer.width !== this.canvas.width || layer.height !== this.canvas.height) {
+      layer.width = this.canvas.width;
+      layer.height = this.canvas.height;
+    }
+    const ctx = this.previewCtx;
+    ctx.clearRect(0, 0, layer.width, layer.height);
+    if (!pipRect) return;
+    const r = pipRect;
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = this.pip.dragging || this.pip.resizing ? '#FF6B35' : 'rgba(255,255,255,0.85)';
+    ctx.strokeRect(r.x, r.y, r.w, r.h);
+    // resize handle (bottom-right corner)
+    const hs = Math.max(12, r.w * 0.08);
+    ctx.fillStyle = 'rgba(255,255,255,0.85)';
+    ctx.beginPath();
+    ctx.moveTo(r.x + r.w, r.y + r.h - hs);
+    ctx.lineTo(r.x + r.w, r.y + r.h);
+    ctx.lineTo(r.x + r.w - hs, r.y + r.h);
+    ctx.fill();
+  }
+
+  _bindStickerDrag(target) {
+    // allow dragging/resizing scene overlays, the sticker and the PiP camera with mouse/touch over the canvas or a preview element
     const canvas = this.canvas;
+    const el = target || canvas;
     let last = null;
+    const toCanvas = (ev) => {
+      const rect = el.getBoundingClientRect();
+      // content box of an object-fit: contain element showing the canvas
+      const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height) || 1;
+      const offX = (rect.width - canvas.width * scale) / 2;
+      const offY = (rect.height - canvas.height * scale) / 2;
+      return { x: (ev.clientX - rect.left - offX) / scale, y: (ev.clientY - rect.top - offY) / scale };
+    };
+    // a face-tracked sticker follows the landmarks, so only a manually placed one can be dragged
+    const stickerManual = () => this.sticker.visible && !(this.sticker.auto && this.lastFaceLandmarks);
+    const pipHit = (x, y) => {
+      if (!this.screenVideo || !this.pip.visible) return null;
+      const r = this._cameraRect();
+      if (x < r.x || x > r.x + r.w || y < r.y || y > r.y + r.h) return null;
+      const hs = Math.max(16, r.w * 0.12);
+      return x > r.x + r.w - hs && y > r.y + r.h - hs ? 'resize' : 'drag';
+    };
+    // topmost overlay layer under the pointer (layers are drawn in order, so search from the end)
+    const overlayHit = (x, y) => {
+      for (let i = this._overlayBoxes.length - 1; i >= 0; i--) {
+        const b = this._overlayBoxes[i];
+        if (b && x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) return i;
+      }
+      return -1;
+    };
+    const overlayMoved = (index) => {
+      if (this.onoverlaymove && this.overlays[index]) this.onoverlaymove(index, { ...this.overlays[index] });
+    };
     const isOverSticker = (x, y) => {
       const sx = this.sticker.x;
       const sy = this.sticker.y;
@@ -414,46 +918,76 @@ class FilterManager {
       return x >= sx && x <= sx + sw && y >= sy && y <= sy + sh;
     };
 
-    canvas.addEventListener('pointerdown', (ev) => {
-      if (!this.sticker.visible) return;
-      const rect = canvas.getBoundingClientRect();
-      const x = (ev.clientX - rect.left) * (canvas.width / rect.width);
-      const y = (ev.clientY - rect.top) * (canvas.height / rect.height);
-      if (isOverSticker(x, y)) {
+    el.addEventListener('pointerdown', (ev) => {
+      const { x, y } = toCanvas(ev);
+      // same order as drawing, topmost first: scene overlays, the manually placed sticker, then the PiP box
+      const layerIndex = overlayHit(x, y);
+      if (layerIndex >= 0) {
+        this._overlayDrag = layerIndex;
+      } else if (stickerManual() && isOverSticker(x, y)) {
         this.sticker.dragging = true;
-        last = { x, y };
-        canvas.setPointerCapture(ev.pointerId);
+      } else {
+        const hit = pipHit(x, y);
+        if (!hit) return;
+        this.pip.dragging = hit === 'drag';
+        this.pip.resizing = hit === 'resize';
       }
+      last = { x, y };
+      ev.preventDefault();
+      el.setPointerCapture(ev.pointerId);
     });
 
-    canvas.addEventListener('pointermove', (ev) => {
-      if (!this.sticker.visible || !this.sticker.dragging) return;
-      const rect = canvas.getBoundingClientRect();
-      const x = (ev.clientX - rect.left) * (canvas.width / rect.width);
-      const y = (ev.clientY - rect.top) * (canvas.height / rect.height);
+    el.addEventListener('pointermove', (ev) => {
+      if (!last) return;
+      const { x, y } = toCanvas(ev);
       const dx = x - last.x;
       const dy = y - last.y;
-      this.sticker.x += dx;
-      this.sticker.y += dy;
+      if (this._overlayDrag >= 0) {
+        const layer = this.overlays[this._overlayDrag];
+        if (layer) {
+          layer.x = Math.min(1, Math.max(0, layer.x + dx / canvas.width));
+          layer.y = Math.min(1, Math.max(0, layer.y + dy / canvas.height));
+        }
+      } else if (this.sticker.dragging) {
+        this.sticker.x += dx;
+        this.sticker.y += dy;
+      } else if (this.pip.dragging) {
+        this.pip.x += dx / canvas.width;
+        this.pip.y += dy / canvas.height;
+      } else if (this.pip.resizing) {
+        this.pip.w = Math.min(PIP_MAX_WIDTH, Math.max(PIP_MIN_WIDTH, this.pip.w + dx / canvas.width));
+      }
       last = { x, y };
     });
 
-    canvas.addEventListener('pointerup', (ev) => {
+    const endDrag = () => {
+      if (this._overlayDrag >= 0) overlayMoved(this._overlayDrag);
+      this._overlayDrag = -1;
       this.sticker.dragging = false;
+      this.pip.dragging = false;
+      this.pip.resizing = false;
       last = null;
-    });
-
-    // wheel to scale sticker when hovering
-    canvas.addEventListener('wheel', (ev) => {
-      if (!this.sticker.visible) return;
-      ev.preventDefault();
-      const rect = canvas.getBoundingClientRect();
-      const x = (ev.clientX - rect.left) * (canvas.width / rect.width);
-      const y = (ev.clientY - rect.top) * (canvas.height / rect.height);
-      if ( (x >= this.sticker.x && x <= this.sticker.x + this.sticker.w * this.sticker.scale) &&
-           (y >= this.sticker.y && y <= this.sticker.y + this.sticker.h * this.sticker.scale) ) {
-        const delta = ev.deltaY < 0 ? 0.05 : -0.05;
+    };
+    el.addEventListener('pointerup', endDrag);
+    el.addEventListener('pointercancel', endDrag);
+
+    // wheel to scale the sticker (or the PiP camera) when hovering
+    el.addEventListener('wheel', (ev) => {
+      const { x, y } = toCanvas(ev);
+      const delta = ev.deltaY < 0 ? 0.05 : -0.05;
+      const layerIndex = overlayHit(x, y);
+      if (layerIndex >= 0) {
+        ev.preventDefault();
+        const layer = this.overlays[layerIndex];
+        if (layer.type === 'image') layer.w = Math.min(1, Math.max(0.02, layer.w + delta * 0.2));
+        else layer.size = Math.min(0.3, Math.max(0.02, layer.size + delta * 0.05));
+        overlayMoved(layerIndex);
+      } else if (stickerManual() && isOverSticker(x, y)) {
+        ev.preventDefault();
         this.sticker.scale = Math.max(0.1, this.sticker.scale + delta);
+      } else if (pipHit(x, y)) {
+        ev.preventDefault();
+        this.pip.w = Math.min(PIP_MAX_WIDTH, Math.max(PIP_MIN_WIDTH, this.pip.w + delta * 0.5));
       }
     }, { passive: false });
   }
@@ -0,0 +1,280 @@
+/* gifts.js
+GiftAnimator + GiftPanel: virtual gifts for viewer / broadcaster / PK pages
+- GiftAnimator plays the room-wide 'gift' event: a banner ("小明 送出 🚀 火箭 x3") plus floating gift icons
+- GiftPanel lists the catalog (/api/gifts), shows the viewer's balance and emits 'send-gift'
+- In a PK room the panel asks which host to support (setTargets); the gift also counts as PK votes for that side
+
+Design notes:
+- The balance is only changed by the server (one MySQL transaction per gift); the panel just shows what 'gift-result' returns.
+- Banners are queued so a burst of gifts stays readable; at most GIFT_BANNER_MAX are on screen at once.
+*/
+
+const GIFT_BANNER_MAX = 3;
+const GIFT_BANNER_MS = 3500;
+const GIFT_PARTICLES_MAX = 12;
+// 最大值與 server 的 GIFT_QUANTITY_MAX 一致
+const GIFT_QUANTITIES = [1, 5, 10, 99];
+const GIFT_FAIL_MESSAGES = {
+  'insufficient-balance': '餘額不足，無法送出禮物',
+  'invalid-gift': '這個禮物已下架',
+  'invalid-target': '主播目前不在直播中',
+  'self-gift': '不能送禮給自己',
+  'not-in-room': '你目前不在這個直播間，無法送禮'
+};
+
+// 每次送禮一組 requestId，網路重送時 server 只會扣款一次
+function giftRequestId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+// icon 可以是 emoji 或圖片路徑
+function giftIconHtml(icon, size) {
+  const text = String(icon || '🎁');
+  if (/^(\/|https?:)/.test(text)) {
+    const img = document.createElement('img');
+    img.src = text;
+    img.alt = '';
+    img.style.width = img.style.height = size + 'px';
+    img.style.objectFit = 'contain';
+    return img;
+  }
+  const span = document.createElement('span');
+  span.textContent = text;
+  span.style.fontSize = size + 'px';
+  return span;
+}
+
+function injectGiftStyles() {
+  if (document.getElementById('gift-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'gift-styles';
+  style.textContent = `
+    .gift-banner-stack { position:fixed; left:16px; top:90px; display:flex; flex-direction:column; gap:8px; z-index:10000; pointer-events:none; }
+    .gift-banner { display:flex; align-items:center; gap:8px; padding:6px 14px 6px 6px; border-radius:30px; background:linear-gradient(90deg,rgba(255,107,53,.92),rgba(255,204,153,.85)); color:#fff; font-size:14px; box-shadow:0 4px 14px rgba(0,0,0,.25); transform:translateX(-120%); transition:transform .35s cubic-bezier(.2,.9,.2,1), opacity .35s; }
+    .gift-banner.show { transform:translateX(0); }
+    .gift-banner.hide { opacity:0; }
+    .gift-banner img.gift-avatar { width:28px; height:28px; border-radius:50%; object-fit:cover; }
+    .gift-banner .gift-qty { font-weight:700; font-size:18px; color:#fff36b; }
+    .gift-particle { position:fixed; pointer-events:none; z-index:9999; opacity:1; transition:transform 1.6s cubic-bezier(.2,.9,.2,1), opacity 1.6s linear; }
+    .gift-panel { display:flex; flex-wrap:wrap; gap:8px; align-items:center; margin:8px 0; }
+    .gift-panel .gift-btn { display:flex; flex-direction:column; align-items:center; min-width:58px; padding:4px 6px; border-radius:10px; border:1px solid #FF6B35; background:#FFF3E8; color:#333; cursor:pointer; font-size:12px; }
+    .gift-panel .gift-btn:hover { background:#FFCC99; }
+    .gift-panel .gift-btn:disabled { opacity:.5; cursor:not-allowed; }
+    .gift-panel select { padding:4px 6px; border-radius:6px; }
+    .gift-panel .gift-balance { font-size:13px; color:#888; }
+    .gift-panel .gift-status { flex-basis:100%; font-size:13px; color:#FF6B35; min-height:1em; }
+  `;
+  document.head.appendChild(style);
+}
+
+class GiftAnimator {
+  constructor(opts = {}) {
+    // 飄出禮物圖示的參考元素（通常是影片），沒有時從畫面右下方飄出
+    this.anchor = opts.anchor || null;
+    this.enabled = true;
+    this._queue = [];
+    this._showing = 0;
+    this._particles = 0;
+    injectGiftStyles();
+    this.stack = document.createElement('div');
+    this.stack.className = 'gift-banner-stack';
+    document.body.appendChild(this.stack);
+  }
+
+  // gift: server 的 'gift' 事件內容
+  play(gift) {
+    if (!this.enabled || !gift) return;
+    this._queue.push(gift);
+    this._next();
+    const count = Math.min(GIFT_PARTICLES_MAX, Math.max(1, Number(gift.quantity) || 1));
+    for (let i = 0; i < count; i++) setTimeout(() => this._particle(gift.icon), i * 90);
+  }
+
+  _next() {
+    while (this._showing < GIFT_BANNER_MAX && this._queue.length) this._banner(this._queue.shift());
+  }
+
+  _banner(gift) {
+    this._showing++;
+    const el = document.createElement('div');
+    el.className = 'gift-banner';
+    if (gift.from && gift.from.avatar) {
+      const avatar = document.createElement('img');
+      avatar.className = 'gift-avatar';
+      avatar.src = gift.from.avatar;
+      avatar.alt = '';
+      el.appendChild(avatar);
+    }
+    const text = document.createElement('span');
+    const from = (gift.from && gift.from.username) || '觀眾';
+    // PK 中註明送給哪一位主播
+    text.textContent = gift.ownerId && gift.to ? `${from} 送給 ${gift.to.username} ${gift.name}` : `${from} 送出 ${gift.name}`;
+    el.appendChild(text);
+    el.appendChild(giftIconHtml(gift.icon, 26));
+    const qty = document.createElement('span');
+    qty.className = 'gift-qty';
+    qty.textContent = `x${gift.quantity || 1}`;
+    el.appendChild(qty);
+    this.stack.appendChild(el);
+    requestAnimationFrame(() => el.classList.add('show'));
+    setTimeout(() => {
+      el.classList.add('hide');
+      setTimeout(() => {
+        el.remove();
+        this._showing--;
+        this._next();
+      }, 350);
+    }, GIFT_BANNER_MS);
+  }
+
+  _particle(icon) {
+    if (this._particles >= GIFT_PARTICLES_MAX) return;
+    this._particles++;
+    const el = document.createElement('div');
+    el.className = 'gift-particle';
+    el.appendChild(giftIconHtml(icon, 30 + Math.random() * 18));
+    let x = window.innerWidth * 0.7;
+    let y = window.innerHeight * 0.75;
+    if (this.anchor && typeof this.anchor.getBoundingClientRect === 'function') {
+      const r = this.anchor.getBoundingClientRect();
+      x = r.left + r.width * (0.3 + Math.random() * 0.4);
+      y = r.bottom - 30;
+    }
+    el.style.left = (x + (Math.random() - 0.5) * 80) + 'px';
+    el.style.top = y + 'px';
+    document.body.appendChild(el);
+    requestAnimationFrame(() => {
+      const dx = (Math.random() - 0.5) * 120;
+      const dy = -(220 + Math.random() * 160);
+      el.style.transform = `translate(${dx}px, ${dy}px) scale(1.2)`;
+      el.style.opacity = '0';
+    });
+    setTimeout(() => {
+      el.remove();
+      this._particles--;
+    }, 1650);
+  }
+}
+
+class GiftPanel {
+  constructor(socket, opts = {}) {
+    this.socket = socket;
+    this.roomId = opts.roomId;
+    this.container = opts.container;
+    this.gifts = [];
+    this.targets = []; // PK：[{ ownerId, name }]
+    this.balance = null;
+    this._statusTimer = null;
+    injectGiftStyles();
+    this._build();
+    this.load();
+
+    socket.on('gift-result', ({ roomId, ok, reason, amount, balance, pkVotes }) => {
+      if (roomId !== this.roomId || reason === 'duplicate') return;
+      if (ok) {
+        this.setBalance(balance);
+        this._status(pkVotes ? `送出成功（-${amount}，為主播加 ${pkVotes} 票）` : `送出成功（-${amount}）`);
+      } else {
+        this._status(GIFT_FAIL_MESSAGES[reason] || '送禮失敗，請稍後再試');
+      }
+    });
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'gift-panel';
+    this.listEl = document.createElement('div');
+    this.listEl.style.cssText = 'display:flex;flex-wrap:wrap;gap:6px;';
+    this.qtyEl = document.createElement('select');
+    this.qtyEl.title = '數量';
+    GIFT_QUANTITIES.forEach(q => {
+      const opt = document.createElement('option');
+      opt.value = q;
+      opt.textContent = `x${q}`;
+      this.qtyEl.appendChild(opt);
+    });
+    this.targetEl = document.createElement('select');
+    this.targetEl.title = '送給';
+    this.targetEl.style.display = 'none';
+    this.balanceEl = document.createElement('span');
+    this.balanceEl.className = 'gift-balance';
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'gift-status';
+    this.el.append('🎁', this.listEl, this.qtyEl, this.targetEl, this.balanceEl, this.statusEl);
+    if (this.container) this.container.appendChild(this.el);
+  }
+
+  load() {
+    fetch('/api/gifts')
+      .then(res => res.ok ? res.json() : [])
+      .then(gifts => {
+        this.gifts = Array.isArray(gifts) ? gifts : [];
+        this._renderGifts();
+      })
+      .catch(err => console.error('❌ 讀取禮物目錄失敗：', err));
+    fetch('/api/profile', { credentials: 'include' })
+      .then(res => res.ok ? res.json() : null)
+      .then(data => { if (data) this.setBalance(data.balance); })
+      .catch(() => {});
+  }
+
+  setBalance(balance) {
+    if (balance === undefined || balance === null) return;
+    this.balance = Number(balance);
+    this.balanceEl.textContent = `餘額 ${this.balance.toFixed(2)}`;
+  }
+
+  // PK：可選擇送給哪一位主播，只有一位時直接送給他
+  setTargets(targets) {
+    const current = this.targetEl.value;
+    this.targets = targets || [];
+    this.targetEl.innerHTML = '';
+    this.targets.forEach(t => {
+      const opt = document.createElement('option');
+      opt.value = t.ownerId;
+      opt.textContent = `送給 ${t.name}`;
+      this.targetEl.appendChild(opt);
+    });
+    if (this.targets.some(t => String(t.ownerId) === current)) this.targetEl.value = current;
+    this.targetEl.style.display = this.targets.length > 1 ? '' : 'none';
+    this._renderGifts();
+  }
+
+  _renderGifts() {
+    this.listEl.innerHTML = '';
+    this.gifts.forEach(gift => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'gift-btn';
+      btn.title = this.targets.length ? `${gift.name}（每份 ${gift.price} 元，PK 中 +${gift.pkVotes} 票）` : `${gift.name}（每份 ${gift.price} 元）`;
+      btn.appendChild(giftIconHtml(gift.icon, 24));
+      const label = document.createElement('span');
+      label.textContent = `${gift.name} ${gift.price}`;
+      btn.appendChild(label);
+      btn.onclick = () => this.send(gift);
+      this.listEl.appendChild(btn);
+    });
+  }
+
+  send(gift) {
+    const quantity = Number(this.qtyEl.value) || 1;
+    const payload = { roomId: this.roomId, giftId: gift.id, quantity, requestId: giftRequestId() };
+    if (this.targets.length) {
+      payload.ownerId = this.targetEl.value || this.targets[0].ownerId;
+    }
+    if (this.balance !== null && this.balance < gift.price * quantity) {
+      return this._status(GIFT_FAIL_MESSAGES['insufficient-balance']);
+    }
+    this.socket.emit('send-gift', payload);
+  }
+
+  _status(message) {
+    this.statusEl.textContent = message;
+    if (this._statusTimer) clearTimeout(this._statusTimer);
+    this._statusTimer = setTimeout(() => { this.statusEl.textContent = ''; }, 2500);
+  }
+}
+
+window.GiftAnimator = GiftAnimator;
+window.GiftPanel = GiftPanel;
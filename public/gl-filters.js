@@ -0,0 +1,468 @@
+/* gl-filters.js
+GLRenderer + ShaderFilters: WebGL compositing path and filter library for FilterManager
+- ShaderFilters is a registry of filters: { label, group, order, frag, params, uniforms, textures, passes, css }
+  - group 'color' filters are mutually exclusive (color grading / LUT), 'effect' filters can be stacked
+  - order decides where a filter runs in the chain (lower first), independent of the order it was switched on
+  - css (string or (params) => string) is the Canvas2D fallback; filters without css are WebGL-only
+- GLRenderer uploads the video frames as textures, runs the active filter chain through ping-pong framebuffers
+  and draws the result (plus the Canvas2D overlay layer) onto the output canvas
+
+Design notes:
+- WebGL 1 only (widest mobile support): no mipmaps and CLAMP_TO_EDGE so non power-of-two video textures work.
+- Framebuffer passes are rendered upside down on purpose, so every texture (uploaded or rendered) has its top row
+  at v = 0 and filters never need to care where their input came from.
+- A shader that fails to compile is logged once and skipped; the stream keeps running without it.
+*/
+
+const GL_VERTEX_SHADER = `
+attribute vec2 a_pos;
+uniform vec4 u_rect; // x, y, w, h as fractions of the target, top-left origin
+uniform float u_flipTarget; // 1.0 when drawing into a framebuffer texture
+varying vec2 v_uv;
+void main() {
+  v_uv = a_pos;
+  vec2 p = u_rect.xy + a_pos * u_rect.zw;
+  float y = u_flipTarget > 0.5 ? p.y * 2.0 - 1.0 : 1.0 - p.y * 2.0;
+  gl_Position = vec4(p.x * 2.0 - 1.0, y, 0.0, 1.0);
+}
+`;
+
+// prepended to every filter's fragment shader
+const GL_FRAG_HEADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 v_uv;
+uniform sampler2D u_tex;
+uniform vec2 u_texel; // 1 / input size in px
+`;
+
+const GL_COPY_FRAG = `
+void main() {
+  gl_FragColor = texture2D(u_tex, v_uv);
+}
+`;
+
+const GL_FULL_RECT = [0, 0, 1, 1];
+
+// ===== filter registry =====
+const FILTER_REGISTRY = new Map();
+
+function registerFilter(id, def) {
+  FILTER_REGISTRY.set(id, { id, group: 'effect', order: 50, params: {}, passes: [{}], ...def });
+}
+
+// 預設參數值（slider / color 的 value，圖片類參數預設為 null）
+function defaultFilterParams(def) {
+  const params = {};
+  Object.entries(def.params || {}).forEach(([key, spec]) => {
+    params[key] = spec.value != null ? spec.value : null;
+  });
+  return params;
+}
+
+function filterCss(def, params) {
+  if (!def || !def.css) return '';
+  return typeof def.css === 'function' ? def.css(params) : def.css;
+}
+
+function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return m ? [parseInt(m[1], 16) / 255, parseInt(m[2], 16) / 255, parseInt(m[3], 16) / 255] : [0, 1, 0];
+}
+
+// --- color adjust (the original CSS presets, ported to a shader) ---
+const COLOR_ADJUST_FRAG = `
+uniform float u_contrast;
+uniform float u_saturation;
+uniform float u_sepia;
+uniform float u_grayscale;
+void main() {
+  vec4 c = texture2D(u_tex, v_uv);
+  vec3 rgb = c.rgb;
+  float l = dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+  rgb = mix(rgb, vec3(l), u_grayscale);
+  vec3 sep = vec3(dot(rgb, vec3(0.393, 0.769, 0.189)), dot(rgb, vec3(0.349, 0.686, 0.168)), dot(rgb, vec3(0.272, 0.534, 0.131)));
+  rgb = mix(rgb, sep, u_sepia);
+  rgb = (rgb - 0.5) * u_contrast + 0.5;
+  l = dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+  rgb = mix(vec3(l), rgb, u_saturation);
+  gl_FragColor = vec4(clamp(rgb, 0.0, 1.0), c.a);
+}
+`;
+
+function colorAdjust({ contrast = 1, saturation = 1, sepia = 0, grayscale = 0 }) {
+  return () => ({ u_contrast: contrast, u_saturation: saturation, u_sepia: sepia, u_grayscale: grayscale });
+}
+
+registerFilter('enhance', {
+  label: '增強色彩', group: 'color', order: 30, frag: COLOR_ADJUST_FRAG,
+  css: 'contrast(1.2) saturate(1.4)', uniforms: colorAdjust({ contrast: 1.2, saturation: 1.4 })
+});
+registerFilter('sepia', {
+  label: '泛黃', group: 'color', order: 30, frag: COLOR_ADJUST_FRAG,
+  css: 'sepia(0.4) contrast(1.05)', uniforms: colorAdjust({ sepia: 0.4, contrast: 1.05 })
+});
+registerFilter('grayscale', {
+  label: '黑白', group: 'color', order: 30, frag: COLOR_ADJUST_FRAG,
+  css: 'grayscale(1) contrast(1.1)', uniforms: colorAdjust({ grayscale: 1, contrast: 1.1 })
+});
+
+// --- LUT color grading: 512x512 lookup image, 8x8 tiles of 64x64 (blue = tile, red = x, green = y) ---
+const LUT_FRAG = `
+uniform sampler2D u_lut;
+uniform float u_intensity;
+void main() {
+  vec4 c = texture2D(u_tex, v_uv);
+  float blue = c.b * 63.0;
+  vec2 q1;
+  q1.y = floor(floor(blue) / 8.0);
+  q1.x = floor(blue) - q1.y * 8.0;
+  vec2 q2;
+  q2.y = floor(ceil(blue) / 8.0);
+  q2.x = ceil(blue) - q2.y * 8.0;
+  vec2 t1 = q1 * 0.125 + 0.5 / 512.0 + (0.125 - 1.0 / 512.0) * c.rg;
+  vec2 t2 = q2 * 0.125 + 0.5 / 512.0 + (0.125 - 1.0 / 512.0) * c.rg;
+  vec3 graded = mix(texture2D(u_lut, t1).rgb, texture2D(u_lut, t2).rgb, fract(blue));
+  gl_FragColor = vec4(mix(c.rgb, graded, u_intensity), c.a);
+}
+`;
+
+// build a lookup image from a color transform (r, g, b in 0..1 -> [r, g, b]); built once per preset on first use
+function buildLut(transform) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 512;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(512, 512);
+  for (let b = 0; b < 64; b++) {
+    const tileX = (b % 8) * 64;
+    const tileY = Math.floor(b / 8) * 64;
+    for (let g = 0; g < 64; g++) {
+      for (let r = 0; r < 64; r++) {
+        const out = transform(r / 63, g / 63, b / 63);
+        const i = ((tileY + g) * 512 + tileX + r) * 4;
+        img.data[i] = Math.round(Math.min(Math.max(out[0], 0), 1) * 255);
+        img.data[i + 1] = Math.round(Math.min(Math.max(out[1], 0), 1) * 255);
+        img.data[i + 2] = Math.round(Math.min(Math.max(out[2], 0), 1) * 255);
+        img.data[i + 3] = 255;
+      }
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+function createLutFilter(label, lut, css) {
+  let source = typeof lut === 'function' ? null : lut;
+  return {
+    label, group: 'color', order: 30, frag: LUT_FRAG, css,
+    params: { intensity: { label: '強度', min: 0, max: 1, step: 0.05, value: 1 } },
+    uniforms: p => ({ u_intensity: p.intensity }),
+    textures: () => {
+      if (!source) source = buildLut(lut);
+      return { u_lut: source };
+    }
+  };
+}
+
+const lutSmoothstep = x => x * x * (3 - 2 * x);
+registerFilter('lut-warm', createLutFilter('暖色', (r, g, b) => [r * 1.06 + 0.03, g * 1.01 + 0.01, b * 0.88], 'sepia(0.15) saturate(1.15)'));
+registerFilter('lut-cool', createLutFilter('冷色', (r, g, b) => [r * 0.9, g * 0.98 + 0.01, b * 1.06 + 0.04], 'hue-rotate(-8deg) saturate(1.05) brightness(1.02)'));
+registerFilter('lut-film', createLutFilter('電影', (r, g, b) => {
+  // teal shadows / orange highlights with a gentle S-curve
+  const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const s = (l - 0.5) * 0.16;
+  return [r + s, g + s * 0.2, b - s].map(v => v + (lutSmoothstep(Math.min(Math.max(v, 0), 1)) - v) * 0.35);
+}, 'contrast(1.15) saturate(1.1) sepia(0.1)'));
+registerFilter('lut-fade', createLutFilter('復古', (r, g, b) => {
+  // lifted blacks, softer highlights, slightly desaturated
+  const l = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return [r, g, b].map(v => 0.08 + (l + (v - l) * 0.75) * 0.86);
+}, 'contrast(0.85) saturate(0.75) brightness(1.05)'));
+
+// --- beauty: edge-preserving skin smoothing (color-weighted blur) with a light brightening ---
+registerFilter('beauty', {
+  label: '美顏', group: 'effect', order: 20,
+  params: { strength: { label: '磨皮', min: 0, max: 1, step: 0.05, value: 0.6 } },
+  uniforms: p => ({ u_strength: p.strength }),
+  frag: `
+uniform float u_strength;
+void main() {
+  vec4 c = texture2D(u_tex, v_uv);
+  vec3 sum = c.rgb;
+  float wsum = 1.0;
+  for (int i = 0; i < 12; i++) {
+    float a = float(i) * 0.5235988;
+    vec2 dir = vec2(cos(a), sin(a)) * u_texel;
+    for (int r = 1; r <= 2; r++) {
+      vec3 s = texture2D(u_tex, v_uv + dir * float(r) * (2.0 + 3.0 * u_strength)).rgb;
+      vec3 d = s - c.rgb;
+      float w = exp(-dot(d, d) * 40.0);
+      sum += s * w;
+      wsum += w;
+    }
+  }
+  vec3 smoothed = mix(c.rgb, sum / wsum, u_strength);
+  vec3 bright = 1.0 - (1.0 - smoothed) * (1.0 - smoothed);
+  gl_FragColor = vec4(mix(smoothed, bright, 0.12 * u_strength), c.a);
+}
+`
+});
+
+// --- blur: separable gaussian, two passes ---
+registerFilter('blur', {
+  label: '模糊', group: 'effect', order: 40,
+  params: { radius: { label: '強度', min: 1, max: 12, step: 1, value: 6 } },
+  css: p => `blur(${p.radius}px)`,
+  passes: [{ dir: [1, 0] }, { dir: [0, 1] }],
+  uniforms: (p, pass) => ({ u_dir: pass.dir, u_radius: p.radius }),
+  frag: `
+uniform vec2 u_dir;
+uniform float u_radius;
+void main() {
+  vec2 off = u_dir * u_texel * (u_radius / 3.0);
+  vec4 c = texture2D(u_tex, v_uv) * 0.2270270270;
+  c += texture2D(u_tex, v_uv + off * 1.3846153846) * 0.3162162162;
+  c += texture2D(u_tex, v_uv - off * 1.3846153846) * 0.3162162162;
+  c += texture2D(u_tex, v_uv + off * 3.2307692308) * 0.0702702703;
+  c += texture2D(u_tex, v_uv - off * 3.2307692308) * 0.0702702703;
+  gl_FragColor = c;
+}
+`
+});
+
+registerFilter('pixelate', {
+  label: '馬賽克', group: 'effect', order: 45,
+  params: { size: { label: '格子大小', min: 4, max: 48, step: 2, value: 16 } },
+  uniforms: p => ({ u_size: p.size }),
+  frag: `
+uniform float u_size;
+void main() {
+  vec2 block = u_texel * u_size;
+  gl_FragColor = texture2D(u_tex, (floor(v_uv / block) + 0.5) * block);
+}
+`
+});
+
+// --- chroma key: distance in CbCr space to the key color, keyed pixels become transparent ---
+registerFilter('chromakey', {
+  label: '綠幕去背', group: 'effect', order: 10,
+  params: {
+    color: { label: '背景色', type: 'color', value: '#00ff00' },
+    similarity: { label: '相似度', min: 0.02, max: 0.4, step: 0.01, value: 0.15 },
+    smoothness: { label: '邊緣柔化', min: 0.01, max: 0.3, step: 0.01, value: 0.08 },
+    background: { label: '背景圖', type: 'image' }
+  },
+  uniforms: p => ({ u_key: hexToRgb(p.color), u_similarity: p.similarity, u_smoothness: p.smoothness }),
+  frag: `
+uniform vec3 u_key;
+uniform float u_similarity;
+uniform float u_smoothness;
+vec2 cbcr(vec3 c) {
+  return vec2(-0.169 * c.r - 0.331 * c.g + 0.5 * c.b, 0.5 * c.r - 0.419 * c.g - 0.081 * c.b);
+}
+void main() {
+  vec4 c = texture2D(u_tex, v_uv);
+  float d = distance(cbcr(c.rgb), cbcr(u_key));
+  float alpha = smoothstep(u_similarity, u_similarity + u_smoothness, d);
+  // pull the key color out of semi-transparent edges (green spill)
+  float l = dot(c.rgb, vec3(0.2126, 0.7152, 0.0722));
+  vec3 rgb = mix(vec3(l), c.rgb, alpha);
+  gl_FragColor = vec4(rgb, c.a * alpha);
+}
+`
+});
+
+// ===== renderer =====
+class GLRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    // preserveDrawingBuffer: some browsers capture black frames from a WebGL canvas without it
+    const attrs = { alpha: false, antialias: false, premultipliedAlpha: false, preserveDrawingBuffer: true };
+    this.gl = canvas.getContext('webgl', attrs) || canvas.getContext('experimental-webgl', attrs);
+    if (!this.gl) throw new Error('WebGL not supported');
+    this.lost = false;
+    this.failed = new WeakSet(); // filter defs whose shader failed to compile
+    canvas.addEventListener('webglcontextlost', (e) => {
+      e.preventDefault();
+      this.lost = true;
+    });
+    canvas.addEventListener('webglcontextrestored', () => {
+      this._init();
+      this.lost = false;
+    });
+    this._init();
+  }
+
+  // (re)create every GL resource; also used after a context loss
+  _init() {
+    const gl = this.gl;
+    this.programs = new Map(); // fragment source -> { prog, pos, locs }
+    this.textures = new Map(); // name -> { tex, source }
+    this.targets = []; // ping-pong framebuffers
+    this.quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  _program(frag) {
+    let program = this.programs.get(frag);
+    if (program) return program;
+    const gl = this.gl;
+    const compile = (type, src) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, src);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+      return shader;
+    };
+    const prog = gl.createProgram();
+    gl.attachShader(prog, compile(gl.VERTEX_SHADER, GL_VERTEX_SHADER));
+    gl.attachShader(prog, compile(gl.FRAGMENT_SHADER, GL_FRAG_HEADER + frag));
+    gl.linkProgram(prog);
+    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(prog));
+    program = { prog, pos: gl.getAttribLocation(prog, 'a_pos'), locs: {} };
+    this.programs.set(frag, program);
+    return program;
+  }
+
+  _newTexture() {
+    const gl = this.gl;
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    return tex;
+  }
+
+  // upload a video / canvas / image into a named texture; static sources are only uploaded when they change
+  upload(name, source, isStatic = false) {
+    const gl = this.gl;
+    let entry = this.textures.get(name);
+    if (!entry) {
+      entry = { tex: this._newTexture(), source: null };
+      this.textures.set(name, entry);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, entry.tex);
+    if (!isStatic || entry.source !== source) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      entry.source = source;
+    }
+    return entry.tex;
+  }
+
+  _target(index, w, h) {
+    const gl = this.gl;
+    let target = this.targets[index];
+    if (!target) {
+      target = { tex: this._newTexture(), fbo: gl.createFramebuffer(), w: 0, h: 0 };
+      this.targets[index] = target;
+    }
+    if (target.w !== w || target.h !== h) {
+      gl.bindTexture(gl.TEXTURE_2D, target.tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.tex, 0);
+      target.w = w;
+      target.h = h;
+    }
+    return target;
+  }
+
+  // one quad: numbers -> float / vecN uniforms, WebGLTexture -> sampler on the next texture unit
+  _draw(program, tex, uniforms, dest, rect = GL_FULL_RECT) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, dest ? dest.fbo : null);
+    gl.viewport(0, 0, dest ? dest.w : this.canvas.width, dest ? dest.h : this.canvas.height);
+    gl.useProgram(program.prog);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.enableVertexAttribArray(program.pos);
+    gl.vertexAttribPointer(program.pos, 2, gl.FLOAT, false, 0, 0);
+    const loc = (name) => {
+      if (!(name in program.locs)) program.locs[name] = gl.getUniformLocation(program.prog, name);
+      return program.locs[name];
+    };
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.uniform1i(loc('u_tex'), 0);
+    gl.uniform4fv(loc('u_rect'), rect);
+    let unit = 1;
+    Object.entries(uniforms).forEach(([name, value]) => {
+      const l = loc(name);
+      if (l === null) return;
+      if (value instanceof WebGLTexture) {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, value);
+        gl.uniform1i(l, unit++);
+      } else if (Array.isArray(value)) {
+        gl[`uniform${value.length}fv`](l, value);
+      } else {
+        gl.uniform1f(l, Number(value));
+      }
+    });
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  // run chain = [{ id, def, params }] over a texture of w x h; returns the filtered texture
+  applyFilters(tex, w, h, chain) {
+    let src = tex;
+    let ping = 0;
+    chain.forEach(({ id, def, params }) => {
+      if (this.failed.has(def)) return;
+      try {
+        const program = this._program(def.frag);
+        const textures = {};
+        if (def.textures) {
+          Object.entries(def.textures(params)).forEach(([name, source]) => {
+            if (source) textures[name] = this.upload(`filter:${id}:${name}`, source, true);
+          });
+        }
+        def.passes.forEach(pass => {
+          const dest = this._target(ping, w, h);
+          const uniforms = { u_texel: [1 / w, 1 / h], u_flipTarget: 1, ...textures, ...(def.uniforms ? def.uniforms(params, pass) : {}) };
+          this._draw(program, src, uniforms, dest);
+          src = dest.tex;
+          ping = 1 - ping;
+        });
+      } catch (err) {
+        console.warn(`⚠️ 濾鏡 ${id} 無法使用，已略過：`, err);
+        this.failed.add(def);
+      }
+    });
+    return src;
+  }
+
+  clear() {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  // draw a texture onto the output canvas; rect = [x, y, w, h] in canvas fractions
+  draw(tex, rect = GL_FULL_RECT, blend = false) {
+    const gl = this.gl;
+    if (blend) gl.enable(gl.BLEND);
+    this._draw(this._program(GL_COPY_FRAG), tex, { u_flipTarget: 0 }, null, rect);
+    gl.disable(gl.BLEND);
+  }
+}
+
+// export for browser
+window.GLRenderer = GLRenderer;
+window.ShaderFilters = {
+  register: registerFilter,
+  get: id => FILTER_REGISTRY.get(id) || null,
+  // registration order (used for the UI)
+  list: group => [...FILTER_REGISTRY.values()].filter(def => !group || def.group === group),
+  defaultParams: defaultFilterParams,
+  css: filterCss,
+  createLutFilter
+};
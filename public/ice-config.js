@@ -0,0 +1,36 @@
+/* ice-config.js
+getIceConfig(): RTCPeerConnection config shared by the broadcaster / viewer / PK pages
+- ICE servers come from /api/ice-config (STUN plus short-lived TURN credentials)
+- The config is cached and fetched again shortly before the TURN credentials expire
+- If the request fails only the public STUN server is used, and the next call tries again
+*/
+
+// 憑證到期前多久重新取得（ms）
+const ICE_CONFIG_REFRESH_MS = 60000;
+const ICE_FALLBACK_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+let iceConfigPromise = null;
+let iceConfigExpiresAt = 0;
+
+function getIceConfig() {
+  if (!iceConfigPromise || (iceConfigExpiresAt && iceConfigExpiresAt - Date.now() < ICE_CONFIG_REFRESH_MS)) {
+    iceConfigExpiresAt = 0;
+    iceConfigPromise = fetch('/api/ice-config', { credentials: 'include' })
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(data => {
+        iceConfigExpiresAt = data.expiresAt || 0;
+        return { iceServers: data.iceServers, iceCandidatePoolSize: 25, iceTransportPolicy: 'all' };
+      })
+      .catch(err => {
+        console.warn('ice-config fetch failed, falling back to public STUN', err);
+        iceConfigPromise = null;
+        return { iceServers: ICE_FALLBACK_SERVERS, iceTransportPolicy: 'all' };
+      });
+  }
+  return iceConfigPromise;
+}
+
+// 頁面載入時先取得一次，建立連線時就不必等待
+getIceConfig();
+
+window.getIceConfig = getIceConfig;
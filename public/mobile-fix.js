@@ -56,6 +56,7 @@
       height: 720,
       fps: 25,
       autoFace: true,
+      webgl: caps.webgl, // FilterManager 用 WebGL 合成畫面，不支援時退回 Canvas2D
       device,
       capabilities: caps
     };
@@ -137,7 +138,8 @@
       if (actualFps < filterManager.fps * 0.7) {
         lowFpsCount++;
         if (lowFpsCount >= 3) {
-          console.warn(`[Performance] 實際 FPS (${actualFps.toFixed(1)}) 低於預期 (${filterManager.fps})，建議降低解析度或關閉臉部偵測`);
+          const mode = filterManager.isWebGL && filterManager.isWebGL() ? 'WebGL' : 'Canvas2D';
+          console.warn(`[Performance] 實際 FPS (${actualFps.toFixed(1)}) 低於預期 (${filterManager.fps})，渲染模式 ${mode}，建議降低解析度或關閉臉部偵測`);
           lowFpsCount = 0;
         }
       } else {
@@ -148,7 +150,7 @@
       lastTime = now;
     }, 2000);
 
-    // 計數器（需要在 FilterManager 的 draw loop 中呼叫）
+    // 計數器（需要在 FilterManager 的 draw loop 中呼叫，例如 filterManager.onframe = monitor.countFrame）
     return {
       countFrame: () => frameCount++,
       stop: () => clearInterval(monitor)
@@ -0,0 +1,183 @@
+/* notifications.js
+NotificationCenter: in-app inbox + real-time 'notification' events (index / viewer pages)
+- A bell button with the unread count; clicking it opens the inbox (/api/notifications) and marks everything read
+- 'live' notifications (a followed broadcaster went live) also pop up a toast with a link to the room
+- onnotification(n) lets the page react too (e.g. index.html refreshes its Following list)
+*/
+
+const NOTIFICATION_TOAST_MS = 6000;
+
+function injectNotificationStyles() {
+  if (document.getElementById('notification-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'notification-styles';
+  style.textContent = `
+    .notif-wrap { position:relative; display:inline-block; }
+    .notif-bell { position:relative; padding:6px 10px; border-radius:6px; border:1px solid #444; background:#111; color:#eee; cursor:pointer; }
+    .notif-badge { position:absolute; top:-6px; right:-6px; min-width:18px; height:18px; padding:0 4px; border-radius:9px; background:#d32f2f; color:#fff; font-size:11px; line-height:18px; text-align:center; }
+    .notif-panel { position:absolute; left:0; top:110%; width:280px; max-height:360px; overflow-y:auto; background:#fff; color:#333; border-radius:8px; box-shadow:0 6px 20px rgba(0,0,0,.25); z-index:10001; text-align:left; }
+    .notif-item { display:flex; gap:8px; align-items:center; padding:8px 10px; border-bottom:1px solid #eee; cursor:pointer; font-size:13px; }
+    .notif-item.unread { background:#FFF3E8; }
+    .notif-item img { width:32px; height:32px; border-radius:50%; object-fit:cover; }
+    .notif-item small { display:block; color:#999; }
+    .notif-empty, .notif-more { padding:10px; text-align:center; color:#999; font-size:13px; }
+    .notif-more { cursor:pointer; color:#FF6B35; }
+    .notif-toast { position:fixed; right:20px; top:20px; max-width:300px; padding:10px 14px; border-radius:10px; background:rgba(20,20,20,.92); color:#fff; z-index:10002; box-shadow:0 6px 20px rgba(0,0,0,.3); cursor:pointer; }
+  `;
+  document.head.appendChild(style);
+}
+
+function notificationText(n) {
+  const name = n.actor ? n.actor.username : '主播';
+  if (n.type === 'live') return `${name} 開播了${n.title ? '：' + n.title : ''}`;
+  return name;
+}
+
+function notificationHref(n) {
+  return n.type === 'live' && n.roomId ? `/viewer.html?room=${encodeURIComponent(n.roomId)}` : null;
+}
+
+class NotificationCenter {
+  constructor(socket, opts = {}) {
+    this.socket = socket;
+    this.container = opts.container;
+    this.unread = 0;
+    this.items = [];
+    this.nextBefore = null;
+    this.onnotification = null;
+    injectNotificationStyles();
+    this._build();
+    this.load();
+
+    socket.on('notification', n => {
+      this.items.unshift(n);
+      this._setUnread(this.unread + 1);
+      if (this.panel.style.display !== 'none') this._render();
+      this._toast(n);
+      if (this.onnotification) this.onnotification(n);
+    });
+    document.addEventListener('click', e => {
+      if (!this.wrap.contains(e.target)) this.panel.style.display = 'none';
+    });
+  }
+
+  _build() {
+    this.wrap = document.createElement('div');
+    this.wrap.className = 'notif-wrap';
+    this.bell = document.createElement('button');
+    this.bell.type = 'button';
+    this.bell.className = 'notif-bell';
+    this.bell.textContent = '🔔';
+    this.badge = document.createElement('span');
+    this.badge.className = 'notif-badge';
+    this.badge.style.display = 'none';
+    this.bell.appendChild(this.badge);
+    this.panel = document.createElement('div');
+    this.panel.className = 'notif-panel';
+    this.panel.style.display = 'none';
+    this.wrap.append(this.bell, this.panel);
+    if (this.container) this.container.appendChild(this.wrap);
+    this.bell.onclick = () => this.toggle();
+  }
+
+  load(more = false) {
+    const url = '/api/notifications' + (more && this.nextBefore ? `?before=${this.nextBefore}` : '');
+    return fetch(url, { credentials: 'include' })
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        // 未登入：不顯示鈴鐺
+        if (!data) {
+          this.wrap.style.display = 'none';
+          return;
+        }
+        this.items = more ? this.items.concat(data.notifications) : data.notifications;
+        this.nextBefore = data.hasMore ? data.nextBefore : null;
+        this._setUnread(data.unread);
+        this._render();
+      })
+      .catch(err => console.error('❌ 讀取通知失敗：', err));
+  }
+
+  toggle() {
+    const open = this.panel.style.display === 'none';
+    this.panel.style.display = open ? '' : 'none';
+    if (!open) return;
+    this._render();
+    if (this.unread) this.markAllRead();
+  }
+
+  markAllRead() {
+    fetch('/api/notifications/read', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    }).then(res => {
+      if (!res.ok) return;
+      this._setUnread(0);
+      // 面板開著時保留未讀底色，下次打開才清掉
+      this.items.forEach(n => { n.read = true; });
+    }).catch(() => {});
+  }
+
+  _setUnread(count) {
+    this.unread = Math.max(0, count || 0);
+    this.badge.textContent = this.unread > 99 ? '99+' : String(this.unread);
+    this.badge.style.display = this.unread ? '' : 'none';
+  }
+
+  _render() {
+    this.panel.innerHTML = '';
+    if (!this.items.length) {
+      const empty = document.createElement('div');
+      empty.className = 'notif-empty';
+      empty.textContent = '目前沒有通知';
+      this.panel.appendChild(empty);
+      return;
+    }
+    this.items.forEach(n => {
+      const item = document.createElement('div');
+      item.className = 'notif-item' + (n.read ? '' : ' unread');
+      if (n.actor && n.actor.avatar) {
+        const img = document.createElement('img');
+        img.src = n.actor.avatar;
+        img.alt = '';
+        item.appendChild(img);
+      }
+      const text = document.createElement('div');
+      text.textContent = notificationText(n);
+      const time = document.createElement('small');
+      time.textContent = new Date(n.createdAt).toLocaleString();
+      text.appendChild(time);
+      item.appendChild(text);
+      const href = notificationHref(n);
+      if (href) item.onclick = () => { window.location.href = href; };
+      this.panel.appendChild(item);
+    });
+    if (this.nextBefore) {
+      const more = document.createElement('div');
+      more.className = 'notif-more';
+      more.textContent = '載入更早的通知';
+      more.onclick = e => {
+        e.stopPropagation();
+        this.load(true);
+      };
+      this.panel.appendChild(more);
+    }
+  }
+
+  _toast(n) {
+    const toast = document.createElement('div');
+    toast.className = 'notif-toast';
+    toast.textContent = '🔔 ' + notificationText(n);
+    const href = notificationHref(n);
+    if (href) {
+      toast.title = '前往觀看';
+      toast.onclick = () => { window.location.href = href; };
+    }
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), NOTIFICATION_TOAST_MS);
+  }
+}
+
+window.NotificationCenter = NotificationCenter;
@@ -0,0 +1,365 @@
+/* scenes.js
+SceneManager: per-user scene presets for the broadcaster (used with FilterManager)
+- A scene is a named list of overlay layers: text banner, logo image, countdown timer, live viewer count, top reaction
+- Layers are drawn by FilterManager on the outgoing canvas, so viewers and recordings see them without extra tracks
+- Scenes are saved on the server (/api/scenes) and loaded when the page starts
+- Hotkeys: 1-9 switch to the Nth scene, 0 hides all overlays (ignored while typing in a form field)
+
+Design notes:
+- Positions / sizes are canvas fractions (0~1) so a scene looks the same at any capture resolution.
+- Layers can be dragged (and wheel-resized) directly on the preview; edits are saved after a short delay.
+*/
+
+// 編輯後延遲多久存檔（ms），拖曳或打字時不會每一步都打 API
+const SCENE_SAVE_DELAY_MS = 800;
+// 與 server 的 SCENE_MAX_LAYERS 一致
+const SCENE_MAX_LAYERS = 20;
+const SCENE_LAYER_LABELS = {
+  text: '📝 文字',
+  image: '🖼️ Logo',
+  timer: '⏱ 倒數',
+  viewers: '👀 觀看人數',
+  reaction: '🔥 熱門表情'
+};
+
+class SceneManager {
+  constructor(filterMgr) {
+    this.filterMgr = filterMgr;
+    this.scenes = []; // [{ id, name, position, layers }]
+    this.activeId = null; // scene shown on the stream
+    this.editingId = null; // scene open in the editor
+    this._saveTimers = {};
+
+    // layer dragged / resized on the preview: keep the saved scene in sync
+    filterMgr.onoverlaymove = (index, layer) => {
+      const scene = this._scene(this.activeId);
+      if (!scene || !scene.layers[index]) return;
+      scene.layers[index] = { ...scene.layers[index], x: layer.x, y: layer.y, size: layer.size, w: layer.w };
+      this._scheduleSave(scene);
+      if (this.editingId === scene.id) this._renderEditor();
+    };
+
+    document.addEventListener('keydown', ev => this._onHotkey(ev));
+    this._createUI();
+    this.load();
+  }
+
+  async load() {
+    try {
+      const res = await fetch('/api/scenes');
+      if (!res.ok) throw new Error(res.status);
+      this.scenes = await res.json();
+    } catch (err) {
+      console.error('❌ 無法載入場景：', err);
+      this.scenes = [];
+    }
+    this._render();
+  }
+
+  // 切換場景（null 代表不顯示任何疊加）
+  activate(id) {
+    const scene = this._scene(id);
+    this.activeId = scene ? scene.id : null;
+    this.filterMgr.setOverlays(scene ? scene.layers : []);
+    this._renderList();
+  }
+
+  // 即時數值：{ viewerCount, topReaction }
+  setLiveData(data) {
+    this.filterMgr.setOverlayData(data);
+  }
+
+  async createScene(name) {
+    try {
+      const res = await fetch('/api/scenes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, layers: [] })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || res.status);
+      this.scenes.push(data);
+      this.editingId = data.id;
+      this._render();
+    } catch (err) {
+      console.error('❌ 建立場景失敗：', err);
+      alert(`建立場景失敗：${err.message}`);
+    }
+  }
+
+  async deleteScene(id) {
+    const scene = this._scene(id);
+    if (!scene || !confirm(`確定刪除場景「${scene.name}」？`)) return;
+    try {
+      const res = await fetch(`/api/scenes/${id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error((await res.json()).message || res.status);
+      this.scenes = this.scenes.filter(s => s.id !== id);
+      if (this.activeId === id) this.activate(null);
+      if (this.editingId === id) this.editingId = null;
+      this._render();
+    } catch (err) {
+      console.error('❌ 刪除場景失敗：', err);
+      alert(`刪除場景失敗：${err.message}`);
+    }
+  }
+
+  _scene(id) {
+    return this.scenes.find(s => s.id === id) || null;
+  }
+
+  // 存檔前先套用到畫面（正在播的場景不重置倒數）
+  _scheduleSave(scene) {
+    if (scene.id === this.activeId) this.filterMgr.setOverlays(scene.layers, false);
+    clearTimeout(this._saveTimers[scene.id]);
+    this._saveTimers[scene.id] = setTimeout(async () => {
+      delete this._saveTimers[scene.id];
+      try {
+        const res = await fetch(`/api/scenes/${scene.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: scene.name, layers: scene.layers })
+        });
+        if (!res.ok) throw new Error((await res.json()).message || res.status);
+        this._setStatus('已儲存');
+      } catch (err) {
+        console.error('❌ 儲存場景失敗：', err);
+        this._setStatus(`儲存失敗：${err.message}`);
+      }
+    }, SCENE_SAVE_DELAY_MS);
+  }
+
+  _onHotkey(ev) {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey || ev.repeat) return;
+    const t = ev.target;
+    if (t && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName))) return;
+    if (!/^[0-9]$/.test(ev.key)) return;
+    const n = Number(ev.key);
+    if (n === 0) {
+      this.activate(null);
+    } else if (this.scenes[n - 1]) {
+      this.activate(this.scenes[n - 1].id);
+    }
+  }
+
+  _newLayer(type, count) {
+    // stack new layers down the left edge so they don't all land on the same spot
+    const layer = { type, x: 0.03, y: Math.min(0.9, 0.04 + (count % 10) * 0.09), size: 0.05, color: '#ffffff', bg: '' };
+    if (type === 'text') Object.assign(layer, { text: '歡迎來到直播間！', bg: '#00000099' });
+    if (type === 'timer') Object.assign(layer, { label: '倒數', duration: 300 });
+    if (type === 'image') Object.assign(layer, { x: 0.8, y: 0.04, w: 0.15 });
+    return layer;
+  }
+
+  async _addImageLayer(scene, file) {
+    const form = new FormData();
+    form.append('image', file);
+    try {
+      const res = await fetch('/api/overlay-image', { method: 'POST', body: form });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || res.status);
+      scene.layers.push({ ...this._newLayer('image', scene.layers.length), src: data.src });
+      this._scheduleSave(scene);
+      this._renderEditor();
+    } catch (err) {
+      console.error('❌ 上傳圖片失敗：', err);
+      alert(`上傳圖片失敗：${err.message}`);
+    }
+  }
+
+  // ===== UI =====
+  _createUI() {
+    const panel = document.createElement('div');
+    panel.className = 'scene-panel';
+    panel.innerHTML = `
+      <button class="scene-toggle">🖼️ 場景</button>
+      <div class="scene-card hidden">
+        <small class="scene-hint">快捷鍵 1-9 切換場景、0 隱藏疊加；圖層可在預覽畫面上拖曳，滾輪調整大小</small>
+        <ol class="scene-list"></ol>
+        <div class="scene-add">
+          <input type="text" class="scene-name" maxlength="50" placeholder="新場景名稱">
+          <button class="scene-create">➕ 新增</button>
+        </div>
+        <div class="scene-editor"></div>
+        <small class="scene-status"></small>
+      </div>
+    `;
+    const container = document.getElementById('filterBtnContainer');
+    if (container) {
+      container.appendChild(panel);
+    } else {
+      document.body.appendChild(panel);
+    }
+    this.ui = panel;
+    const card = panel.querySelector('.scene-card');
+    panel.querySelector('.scene-toggle').addEventListener('click', () => card.classList.toggle('hidden'));
+    const nameInput = panel.querySelector('.scene-name');
+    panel.querySelector('.scene-create').addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name) return alert('請輸入場景名稱');
+      nameInput.value = '';
+      this.createScene(name);
+    });
+
+    if (!document.getElementById('scene-styles')) {
+      const s = document.createElement('style');
+      s.id = 'scene-styles';
+      s.textContent = `
+      .scene-panel { position: relative; display: inline-block; margin-left: 8px; }
+      .scene-panel .scene-toggle { background:#2E8B57;color:#fff;border:none;padding:10px 16px;border-radius:8px;cursor:pointer;box-shadow: 0 2px 8px rgba(46,139,87,0.3); }
+      .scene-card { background: rgba(0,0,0,0.9); color:#fff; padding:12px; border-radius:8px; margin-top:8px; width:320px; position:absolute; left:0; z-index:100; }
+      .scene-card.hidden { display:none }
+      .scene-card h3 { margin:10px 0 4px; font-size:14px; }
+      .scene-hint { display:block; color:#FFCC99; margin-bottom:4px; }
+      .scene-list { margin:6px 0; padding-left:20px; font-size:13px; }
+      .scene-list li { margin:3px 0; }
+      .scene-list li.active > .scene-go { color:#FF6B35; font-weight:bold; }
+      .scene-list button, .scene-add button, .scene-editor button { border:none; border-radius:6px; cursor:pointer; padding:2px 6px; margin-left:4px; }
+      .scene-list .scene-go { background:none; color:#fff; margin-left:0; padding:0; }
+      .scene-add { display:flex; gap:4px; }
+      .scene-add input { flex:1; min-width:0; }
+      .scene-layer { border-top:1px solid #333; padding:6px 0; font-size:12px; display:flex; flex-wrap:wrap; align-items:center; gap:4px; }
+      .scene-layer input[type=text] { flex:1; min-width:90px; }
+      .scene-layer input[type=number] { width:60px; }
+      .scene-layer img { height:24px; }
+      .scene-status { display:block; color:#aaa; margin-top:4px; }
+      `;
+      document.head.appendChild(s);
+    }
+  }
+
+  _setStatus(text) {
+    if (this.ui) this.ui.querySelector('.scene-status').textContent = text;
+  }
+
+  _render() {
+    this._renderList();
+    this._renderEditor();
+  }
+
+  _renderList() {
+    if (!this.ui) return;
+    const list = this.ui.querySelector('.scene-list');
+    list.innerHTML = '';
+    if (!this.scenes.length) {
+      list.innerHTML = '<li>尚未建立場景</li>';
+      return;
+    }
+    this.scenes.forEach(scene => {
+      const li = document.createElement('li');
+      li.classList.toggle('active', scene.id === this.activeId);
+      const go = document.createElement('button');
+      go.className = 'scene-go';
+      go.textContent = scene.name;
+      go.title = scene.id === this.activeId ? '點擊隱藏' : '切換到此場景';
+      go.addEventListener('click', () => this.activate(scene.id === this.activeId ? null : scene.id));
+      const edit = document.createElement('button');
+      edit.textContent = '✏️';
+      edit.title = '編輯圖層';
+      edit.addEventListener('click', () => {
+        this.editingId = this.editingId === scene.id ? null : scene.id;
+        this._renderEditor();
+      });
+      const del = document.createElement('button');
+      del.textContent = '🗑';
+      del.title = '刪除';
+      del.addEventListener('click', () => this.deleteScene(scene.id));
+      li.append(go, edit, del);
+      list.appendChild(li);
+    });
+  }
+
+  _renderEditor() {
+    if (!this.ui) return;
+    const box = this.ui.querySelector('.scene-editor');
+    box.innerHTML = '';
+    const scene = this._scene(this.editingId);
+    if (!scene) return;
+
+    const title = document.createElement('h3');
+    title.textContent = `編輯：${scene.name}`;
+    box.appendChild(title);
+
+    scene.layers.forEach((layer, index) => {
+      const row = document.createElement('div');
+      row.className = 'scene-layer';
+      const label = document.createElement('span');
+      label.textContent = SCENE_LAYER_LABELS[layer.type] || layer.type;
+      row.appendChild(label);
+
+      const field = (type, key, attrs = {}) => {
+        const input = document.createElement('input');
+        input.type = type;
+        Object.assign(input, attrs);
+        input.value = layer[key];
+        input.addEventListener('input', () => {
+          layer[key] = type === 'number' ? Number(input.value) : input.value;
+          this._scheduleSave(scene);
+        });
+        row.appendChild(input);
+        return input;
+      };
+      if (layer.type === 'text') field('text', 'text', { maxLength: 120 });
+      if (layer.type === 'timer') {
+        field('text', 'label', { maxLength: 40, placeholder: '標籤' });
+        field('number', 'duration', { min: 1, max: 86400, title: '秒數' });
+      }
+      if (layer.type === 'image') {
+        const img = document.createElement('img');
+        img.src = layer.src;
+        img.alt = 'logo';
+        row.appendChild(img);
+      } else {
+        field('color', 'color', { title: '文字顏色' });
+        const bgLabel = document.createElement('label');
+        const bgBox = document.createElement('input');
+        bgBox.type = 'checkbox';
+        bgBox.checked = !!layer.bg;
+        bgBox.addEventListener('change', () => {
+          layer.bg = bgBox.checked ? '#00000099' : '';
+          this._scheduleSave(scene);
+        });
+        bgLabel.append(bgBox, ' 底色');
+        row.appendChild(bgLabel);
+      }
+
+      const remove = document.createElement('button');
+      remove.textContent = '✖';
+      remove.title = '移除圖層';
+      remove.addEventListener('click', () => {
+        scene.layers.splice(index, 1);
+        this._scheduleSave(scene);
+        this._renderEditor();
+      });
+      row.appendChild(remove);
+      box.appendChild(row);
+    });
+
+    // add-layer controls
+    const add = document.createElement('div');
+    add.className = 'scene-layer';
+    const select = document.createElement('select');
+    Object.entries(SCENE_LAYER_LABELS).forEach(([type, text]) => select.add(new Option(text, type)));
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'image/png,image/jpeg,image/gif,image/webp';
+    file.style.display = 'none';
+    file.addEventListener('change', () => {
+      if (file.files[0]) this._addImageLayer(scene, file.files[0]);
+      file.value = '';
+    });
+    const addBtn = document.createElement('button');
+    addBtn.textContent = '➕ 加入圖層';
+    addBtn.addEventListener('click', () => {
+      if (scene.layers.length >= SCENE_MAX_LAYERS) return alert(`每個場景最多 ${SCENE_MAX_LAYERS} 個圖層`);
+      if (select.value === 'image') return file.click();
+      scene.layers.push(this._newLayer(select.value, scene.layers.length));
+      this._scheduleSave(scene);
+      this._renderEditor();
+    });
+    add.append(select, addBtn, file);
+    box.appendChild(add);
+  }
+}
+
+// export for browser
+window.SceneManager = SceneManager;
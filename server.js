@@ -13,6 +13,8 @@ let udpClient = null;
 if (UDP_HOST && UDP_PORT) {
   udpClient = dgram.createSocket('udp4');
 }
+const crypto = require('crypto');
+const { spawn } = require('child_process');
 const bcrypt = require("bcryptjs");
 const mysql = require("mysql2");
 const session = require("express-session");
@@ -39,13 +41,15 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || "super_secret_key",
-    resave: false,
-    saveUninitialized: false
-  })
-);
+// session middleware 同時給 express 與 Socket.IO 使用，讓 socket 事件能對應到登入使用者
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || "super_secret_key",
+  resave: false,
+  saveUninitialized: false
+});
+app.use(sessionMiddleware);
+// share the HTTP session with Socket.IO: socket.request.session is populated during the handshake
+io.engine.use(sessionMiddleware);
 
 // --------------------- MySQL 連線 ---------------------
 const dbConfig = {
@@ -80,8 +84,57 @@ db.connect(err => {
       }
     }
   });
+  // Ensure 'role' column exists (admin-only APIs check it)
+  db.query("ALTER TABLE users ADD COLUMN role ENUM('user','admin') DEFAULT 'user'", (alterErr) => {
+    if (alterErr && alterErr.code !== 'ER_DUP_FIELDNAME' && !/Duplicate column name/.test(alterErr.message)) {
+      console.warn('⚠️ 無法新增 users.role 欄位：', alterErr.message || alterErr);
+    }
+  });
+  // Ensure 'bio' / 'peak_viewers' columns exist (public profile page shows them)
+  db.query("ALTER TABLE users ADD COLUMN bio VARCHAR(255) DEFAULT NULL", (alterErr) => {
+    if (alterErr && alterErr.code !== 'ER_DUP_FIELDNAME' && !/Duplicate column name/.test(alterErr.message)) {
+      console.warn('⚠️ 無法新增 users.bio 欄位：', alterErr.message || alterErr);
+    }
+  });
+  db.query("ALTER TABLE streams ADD COLUMN peak_viewers INT DEFAULT 0", (alterErr) => {
+    if (alterErr && alterErr.code !== 'ER_DUP_FIELDNAME' && !/Duplicate column name/.test(alterErr.message)) {
+      console.warn('⚠️ 無法新增 streams.peak_viewers 欄位：', alterErr.message || alterErr);
+    }
+  });
+  // Ensure 'last_used_at' column exists (attachStreamHashtags writes it)
+  db.query("ALTER TABLE hashtags ADD COLUMN last_used_at TIMESTAMP NULL DEFAULT NULL", (alterErr) => {
+    if (alterErr && alterErr.code !== 'ER_DUP_FIELDNAME' && !/Duplicate column name/.test(alterErr.message)) {
+      console.warn('⚠️ 無法新增 hashtags.last_used_at 欄位：', alterErr.message || alterErr);
+    }
+  });
+  backfillStreamHashtags();
+  loadBannedWords();
 });
 
+// 交易專用連線池：共用的 db 連線會混入其他請求的查詢，BEGIN / COMMIT 之間必須獨占一條連線
+const dbPool = mysql.createPool({ ...dbConfig, connectionLimit: 5 });
+
+// work(conn, done) 在交易中執行，done(err, result)：err 時 ROLLBACK，否則 COMMIT；cb(err, result)
+function withTransaction(work, cb) {
+  dbPool.getConnection((err, conn) => {
+    if (err) return cb(err);
+    conn.beginTransaction(err2 => {
+      if (err2) {
+        conn.release();
+        return cb(err2);
+      }
+      work(conn, (workErr, result) => {
+        if (workErr) return conn.rollback(() => { conn.release(); cb(workErr); });
+        conn.commit(err3 => {
+          if (err3) return conn.rollback(() => { conn.release(); cb(err3); });
+          conn.release();
+          cb(null, result);
+        });
+      });
+    });
+  });
+}
+
 // --------------------- Health Check --------------------
 app.get('/health', (req, res) => {
   db.ping(err => {
@@ -99,6 +152,39 @@ app.get('/health', (req, res) => {
   });
 });
 
+// --------------------- WebRTC ICE 設定 ---------------------
+// STUN_URLS / TURN_URLS 以逗號分隔；TURN_SECRET 需與 coturn 的 static-auth-secret 相同
+const STUN_URLS = (process.env.STUN_URLS || 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302')
+  .split(',').map(u => u.trim()).filter(Boolean);
+const TURN_URLS = (process.env.TURN_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+const TURN_SECRET = process.env.TURN_SECRET || null;
+// TURN 憑證有效時間（秒）
+const TURN_TTL = process.env.TURN_TTL ? Number(process.env.TURN_TTL) : 3600;
+if (TURN_URLS.length && !TURN_SECRET) console.warn('[boot] TURN_URLS is set but TURN_SECRET is missing; TURN servers will not be offered');
+
+// coturn REST API 格式：username = "<到期 unix 秒>:<識別>"，credential = base64(HMAC-SHA1(secret, username))
+function turnCredentials(identity) {
+  const expiresAt = Math.floor(Date.now() / 1000) + TURN_TTL;
+  const username = `${expiresAt}:${identity}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential, expiresAt };
+}
+
+// 觀眾不一定登入，所以不要求 session；憑證短效且每次請求重新簽發
+app.get('/api/ice-config', (req, res) => {
+  const iceServers = [];
+  if (STUN_URLS.length) iceServers.push({ urls: STUN_URLS });
+  let expiresAt = null;
+  if (TURN_URLS.length && TURN_SECRET) {
+    const identity = req.session.user ? `u${req.session.user.id}` : 'guest';
+    const creds = turnCredentials(identity);
+    iceServers.push({ urls: TURN_URLS, username: creds.username, credential: creds.credential });
+    expiresAt = creds.expiresAt * 1000;
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ iceServers, ttl: expiresAt ? TURN_TTL : null, expiresAt });
+});
+
 // --------------------- Multer：封面 & 頭像 ---------------------
 
 // 直播封面：uploads/preview/<roomId>/cover.xxx
@@ -133,12 +219,273 @@ const avatarStorage = multer.diskStorage({
 });
 const avatarUpload = multer({ storage: avatarStorage });
 
+// 場景疊加圖片（Logo 等）：uploads/overlays/<userId>/overlay_<時間>.xxx
+// 副檔名只依允許的圖片類型決定（不使用原始檔名），避免上傳 .html 等檔案後由 /uploads 直接送出
+const OVERLAY_IMAGE_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+// 由檔案開頭的 magic bytes 判斷圖片類型，無法辨識時回傳 null
+function sniffImageType(buf) {
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return 'image/gif';
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+const overlayStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!req.session.user || !req.session.user.id) {
+      return cb(new Error("未登入，無法上傳圖片"));
+    }
+    const dir = path.join(__dirname, 'uploads', 'overlays', String(req.session.user.id));
+    fs.mkdirSync(dir, { recursive: true });
+    cb(null, dir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `overlay_${Date.now()}${OVERLAY_IMAGE_TYPES[file.mimetype]}`);
+  }
+});
+const overlayUpload = multer({
+  storage: overlayStorage,
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, Object.prototype.hasOwnProperty.call(OVERLAY_IMAGE_TYPES, file.mimetype))
+});
+
 // --------------------- Helper ---------------------
+// longest chat message (characters) the server will relay
+const CHAT_MAX_LENGTH = 300;
+// how many recent messages are replayed to a socket on join-room
+const CHAT_REPLAY_COUNT = 30;
+// page size for GET /api/streams/:roomId/chat
+const CHAT_PAGE_DEFAULT = 50;
+const CHAT_PAGE_MAX = 200;
+// chat timeout length bounds (seconds) for mod-timeout
+const MOD_TIMEOUT_DEFAULT = 300;
+const MOD_TIMEOUT_MAX = 24 * 60 * 60;
+// PK 加碼票：每票價格（從 users.balance 扣款）與單次最多加碼票數
+const PK_EXTRA_VOTE_PRICE = process.env.PK_EXTRA_VOTE_PRICE ? Number(process.env.PK_EXTRA_VOTE_PRICE) : 1;
+const PK_EXTRA_VOTES_MAX = 100;
+// PK 對戰時長（秒）：由發起方選擇，超出範圍時套用預設值
+const PK_DURATION_DEFAULT = 300;
+const PK_DURATION_MIN = 60;
+const PK_DURATION_MAX = 30 * 60;
+// PK 主播斷線後保留的重新連線時間（ms）
+const PK_HOST_GRACE_MS = 15000;
+// 一場 PK 最多幾位主播（含發起方），以及邀請等待回覆的時間（ms）
+const PK_MAX_HOSTS = 4;
+const PK_INVITE_TIMEOUT_MS = 20000;
+// PK 配對佇列：等待多久仍找不到對手就自動退出（ms）
+const PK_QUEUE_TIMEOUT_MS = 2 * 60 * 1000;
+// 沒有共同 hashtag 時，觀看人數差距在 PK_QUEUE_VIEWER_RATIO 倍內才配對；等超過 PK_QUEUE_RELAX_MS 後不再限制
+const PK_QUEUE_VIEWER_RATIO = 3;
+const PK_QUEUE_RELAX_MS = 30000;
+// 單次送禮最多幾份
+const GIFT_QUANTITY_MAX = 99;
+// Hashtag：單一標籤長度上限、每場直播最多幾個標籤
+const HASHTAG_MAX_LENGTH = 50;
+const HASHTAGS_PER_STREAM = 10;
+// 熱門話題：最近幾天內開播的直播都算「近期使用」，開播中的直播權重較高
+const TRENDING_WINDOW_DAYS = 7;
+const TRENDING_LIVE_WEIGHT = 3;
+const TRENDING_LIMIT_DEFAULT = 10;
+const TRENDING_LIMIT_MAX = 50;
+// 搜尋結果上限
+const SEARCH_STREAMS_MAX = 30;
+const SEARCH_USERS_MAX = 10;
+// 個人簡介長度上限、公開個人頁顯示的歷史直播數
+const BIO_MAX_LENGTH = 255;
+const PROFILE_STREAMS_MAX = 30;
+// 通知收件匣分頁大小
+const NOTIFICATION_PAGE_DEFAULT = 20;
+const NOTIFICATION_PAGE_MAX = 100;
+// 錢包：交易紀錄分頁大小、單次儲值範圍、最低提領金額
+const WALLET_PAGE_DEFAULT = 20;
+const WALLET_PAGE_MAX = 100;
+const TOPUP_MIN = 1;
+const TOPUP_MAX = 10000;
+const PAYOUT_MIN = process.env.PAYOUT_MIN ? Number(process.env.PAYOUT_MIN) : 100;
+// 金流供應商：必須明確指定（本機開發可設為 mock：立即入帳、不連外）；未設定時不開放儲值
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+
 function generateRoomCode() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   return Array.from({ length: 5 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
 }
 
+// 發起方選擇的 PK 時長（秒），超出範圍時套用預設值
+function normalizePkDuration(duration) {
+  const seconds = Math.floor(Number(duration));
+  return seconds >= PK_DURATION_MIN && seconds <= PK_DURATION_MAX ? seconds : PK_DURATION_DEFAULT;
+}
+
+// 金額統一取到小數第二位；不合法或非正數時回傳 null
+function normalizeMoney(value) {
+  const amount = Math.round(Number(value) * 100) / 100;
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+// 重送保護：client 為每個操作產生一組 key，同一使用者重送相同 key 時只會執行一次
+function normalizeIdempotencyKey(key) {
+  const text = typeof key === 'string' ? key.trim() : '';
+  return text && text.length <= 64 ? text : null;
+}
+
+// 從「#音樂 #教學」這類輸入取出標籤：NFKC 正規化（全形 ＃ 也算）、小寫、去掉標點，存檔時不含 #
+function normalizeHashtags(text) {
+  const tags = [];
+  String(text || '').normalize('NFKC').split(/[\s,，、]+/).forEach(word => {
+    if (!word.startsWith('#')) return;
+    const tag = word.replace(/^#+/, '').replace(/[^\p{L}\p{N}_-]/gu, '').toLowerCase().slice(0, HASHTAG_MAX_LENGTH);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags.slice(0, HASHTAGS_PER_STREAM);
+}
+
+// 直播的標籤（由 stream_hashtags 組回「#音樂 #教學」字串），用於 streams s 的 SELECT 欄位
+const STREAM_TAGS_SQL = `(SELECT GROUP_CONCAT(CONCAT('#', h.tag_name) ORDER BY h.tag_name SEPARATOR ' ')
+   FROM stream_hashtags sh JOIN hashtags h ON h.id = sh.hashtag_id WHERE sh.stream_id = s.id) AS hashtags`;
+
+// LIKE 查詢用：跳脫 % 與 _
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, c => '\\' + c);
+}
+
+// 管理員權限檢查（以資料庫中的 role 為準，避免 session 內的舊資料）
+function requireAdmin(req, res, next) {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  db.query("SELECT role FROM users WHERE id=?", [req.session.user.id], (err, results) => {
+    if (err) {
+      console.error("❌ 查詢使用者權限失敗：", err);
+      return res.status(500).json({ message: "權限檢查失敗" });
+    }
+    if (!results[0] || results[0].role !== 'admin') return res.status(403).json({ message: "需要管理員權限" });
+    next();
+  });
+}
+
+// --------------------- 防洗版：速率限制 & 違禁詞 ---------------------
+
+// token bucket rules per socket event; each event has a per-socket and a per-user bucket
+// (capacity = burst size, refill = tokens per second)
+const RATE_LIMITS = {
+  'chat-message': { socket: { capacity: 5, refill: 1 }, user: { capacity: 8, refill: 1.5 } },
+  'reaction': { socket: { capacity: 10, refill: 3 }, user: { capacity: 15, refill: 4 } },
+  'reaction-change': { socket: { capacity: 3, refill: 0.2 }, user: { capacity: 5, refill: 0.3 } },
+  'pk-emoji': { socket: { capacity: 10, refill: 3 }, user: { capacity: 15, refill: 4 } },
+  'system-message': { socket: { capacity: 3, refill: 0.5 }, user: { capacity: 5, refill: 0.5 } },
+  'send-gift': { socket: { capacity: 5, refill: 1 }, user: { capacity: 8, refill: 1.5 } }
+};
+const rateBuckets = new Map(); // key -> { tokens, last }
+
+// 取一個 token；不足時回傳還需等待的毫秒數，成功回傳 0
+function takeToken(key, rule) {
+  const now = Date.now();
+  let bucket = rateBuckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: rule.capacity, last: now };
+    rateBuckets.set(key, bucket);
+  }
+  bucket.tokens = Math.min(rule.capacity, bucket.tokens + ((now - bucket.last) / 1000) * rule.refill);
+  bucket.last = now;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / rule.refill) * 1000);
+}
+
+// drop buckets that have been idle long enough to be full again
+setInterval(() => {
+  const cutoff = Date.now() - 5 * 60 * 1000;
+  for (const [key, bucket] of rateBuckets) {
+    if (bucket.last < cutoff) rateBuckets.delete(key);
+  }
+}, 60000);
+
+// banned words cache: '' = global list, otherwise per room. Map<roomId, Array<{ id, word, action }>>
+const bannedWords = new Map();
+
+function loadBannedWords(cb) {
+  db.query("SELECT id, room_id, word, action FROM banned_words", (err, results) => {
+    if (err) {
+      console.warn('⚠️ 無法載入違禁詞：', err.message || err);
+      return cb && cb(err);
+    }
+    bannedWords.clear();
+    results.forEach(row => {
+      if (!bannedWords.has(row.room_id)) bannedWords.set(row.room_id, []);
+      bannedWords.get(row.room_id).push({ id: row.id, word: row.word, action: row.action });
+    });
+    cb && cb(null);
+  });
+}
+
+// 套用全站與房間違禁詞：回傳 { rejected, text }；reject 詞命中時整則拒絕，mask 詞以 * 取代
+function applyBannedWords(roomId, text) {
+  const rules = (bannedWords.get('') || []).concat(bannedWords.get(roomId) || []);
+  let out = text;
+  for (const rule of rules) {
+    const escaped = rule.word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp(escaped, 'gi');
+    if (!re.test(out)) continue;
+    if (rule.action === 'reject') return { rejected: true, text };
+    out = out.replace(re, m => '*'.repeat(m.length));
+  }
+  return { rejected: false, text: out };
+}
+
+// 違禁詞管理 API（管理員）：?roomId= 篩選，不帶則回傳全部
+app.get("/api/admin/banned-words", requireAdmin, (req, res) => {
+  const { roomId } = req.query;
+  const sql = roomId !== undefined
+    ? "SELECT * FROM banned_words WHERE room_id=? ORDER BY id"
+    : "SELECT * FROM banned_words ORDER BY room_id, id";
+  db.query(sql, roomId !== undefined ? [roomId] : [], (err, results) => {
+    if (err) {
+      console.error("❌ 讀取違禁詞失敗：", err);
+      return res.status(500).json({ message: "讀取失敗" });
+    }
+    res.json(results);
+  });
+});
+
+// 新增違禁詞：{ word, roomId?, action? }（roomId 省略代表全站）
+app.post("/api/admin/banned-words", requireAdmin, (req, res) => {
+  const word = typeof req.body.word === 'string' ? req.body.word.trim() : '';
+  const roomId = req.body.roomId ? String(req.body.roomId) : '';
+  const action = req.body.action === 'reject' ? 'reject' : 'mask';
+  if (!word || word.length > 100) return res.status(400).json({ message: "請輸入 1-100 字的違禁詞" });
+
+  db.query(
+    "INSERT INTO banned_words (room_id, word, action, created_by) VALUES (?,?,?,?) ON DUPLICATE KEY UPDATE action=VALUES(action)",
+    [roomId, word, action, req.session.user.id],
+    err => {
+      if (err) {
+        console.error("❌ 新增違禁詞失敗：", err);
+        return res.status(500).json({ message: "新增失敗" });
+      }
+      loadBannedWords(() => res.status(201).json({ message: "違禁詞已更新", word, roomId, action }));
+    }
+  );
+});
+
+// 刪除違禁詞
+app.delete("/api/admin/banned-words/:id", requireAdmin, (req, res) => {
+  db.query("DELETE FROM banned_words WHERE id=?", [req.params.id], (err, result) => {
+    if (err) {
+      console.error("❌ 刪除違禁詞失敗：", err);
+      return res.status(500).json({ message: "刪除失敗" });
+    }
+    if (result.affectedRows === 0) return res.status(404).json({ message: "找不到違禁詞" });
+    loadBannedWords(() => res.json({ message: "違禁詞已刪除" }));
+  });
+});
+
 // --------------------- Auth / User API ---------------------
 
 // 註冊
@@ -204,7 +551,7 @@ app.post("/api/logout", (req, res) => {
 app.get("/api/profile", (req, res) => {
   if (!req.session.user) return res.status(401).json({ message: "未登入" });
   db.query(
-    "SELECT id, username, email, gender, age, avatar, balance FROM users WHERE id=?",
+    "SELECT id, username, email, gender, age, avatar, bio, balance FROM users WHERE id=?",
     [req.session.user.id],
     (err, results) => {
       if (err) throw err;
@@ -214,15 +561,17 @@ app.get("/api/profile", (req, res) => {
   );
 });
 
-// 更新個人資料（目前先開放 username & gender）
+// 更新個人資料（目前先開放 username & gender & age & bio）
 app.post("/api/update-profile", (req, res) => {
   if (!req.session.user) return res.status(401).json({ message: "未登入" });
-  const { username, gender, age } = req.body;
+  const { username, gender, age, bio } = req.body;
   const ageVal = (age === undefined || age === null || age === '') ? null : Number(age);
+  // bio 傳空字串代表清除，未傳則不變
+  const bioVal = typeof bio === 'string' ? bio.trim().slice(0, BIO_MAX_LENGTH) : undefined;
 
   db.query(
-    "UPDATE users SET username = IFNULL(?, username), gender = IFNULL(?, gender), age = IFNULL(?, age) WHERE id=?",
-    [username || null, gender || null, ageVal, req.session.user.id],
+    "UPDATE users SET username = IFNULL(?, username), gender = IFNULL(?, gender), age = IFNULL(?, age), bio = IF(?, ?, bio) WHERE id=?",
+    [username || null, gender || null, ageVal, bioVal !== undefined, bioVal || null, req.session.user.id],
     err => {
       if (err) throw err;
 
@@ -269,19 +618,16 @@ app.post("/api/start-stream", (req, res) => {
   const roomId = generateRoomCode();
 
   db.query(
-    "INSERT INTO streams (user_id, room_id, title, description, hashtags, status, last_active) VALUES (?,?,?,?,?,TRUE,NOW())",
-    [req.session.user.id, roomId, title, description, hashtags],
-    err => {
+    "INSERT INTO streams (user_id, room_id, title, description, status, last_active) VALUES (?,?,?,?,TRUE,NOW())",
+    [req.session.user.id, roomId, title, description],
+    (err, result) => {
       if (err) throw err;
 
-      // 更新 hashtag 熱門度
-      const tags = hashtags ? hashtags.split(/\s+/).filter(t => t.startsWith('#')) : [];
-      tags.forEach(tag => {
-        db.query(
-          "INSERT INTO hashtags (tag_name) VALUES (?) ON DUPLICATE KEY UPDATE usage_count = usage_count + 1",
-          [tag]
-        );
-      });
+      // 標籤寫入 stream_hashtags，並更新 hashtag 熱門度
+      attachStreamHashtags(result.insertId, normalizeHashtags(hashtags));
+
+      // 通知追蹤這位主播的使用者（不影響開播回應）
+      notifyFollowersLive(req.session.user.id, roomId, title);
 
       res.json({ message: "直播間建立成功！", roomId });
     }
@@ -331,11 +677,30 @@ app.post('/api/heartbeat', (req, res) => {
   );
 });
 
-// 結束直播
+// 結束直播：只有該直播的主播或管理員可以結束
 app.post('/api/end-stream', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
   const { roomId } = req.body;
   if (!roomId) return res.status(400).json({ message: "缺少房間號" });
+  const userId = req.session.user.id;
+
+  db.query(
+    `SELECT (SELECT role FROM users WHERE id=?) AS role,
+            EXISTS(SELECT 1 FROM streams WHERE room_id=? AND user_id=?) AS is_owner`,
+    [userId, roomId, userId],
+    (authErr, rows) => {
+      if (authErr) {
+        console.error("❌ 查詢直播權限失敗：", authErr);
+        return res.status(500).json({ message: "更新失敗" });
+      }
+      const access = rows[0] || {};
+      if (access.role !== 'admin' && !access.is_owner) return res.status(403).json({ message: "只有主播或管理員可以結束直播" });
+      endStream(res, roomId);
+    }
+  );
+});
 
+function endStream(res, roomId) {
   db.query(
     "UPDATE streams SET status=FALSE, last_active=NOW() WHERE room_id=?",
     [roomId],
@@ -344,6 +709,8 @@ app.post('/api/end-stream', (req, res) => {
         console.error("❌ 結束直播失敗：", err);
         return res.status(500).json({ message: "更新失敗" });
       }
+      // 主播沒先送 record-stop（例如舊版頁面）時在這裡收尾；要在刪除 preview 前，封面才留得下來
+      recordingFinalize(String(roomId));
       // 刪除該房間的 preview 檔案資料夾（若存在）
       const previewDir = path.join(__dirname, 'uploads', 'preview', String(roomId));
       fs.rm(previewDir, { recursive: true, force: true }, rmErr => {
@@ -364,7 +731,7 @@ app.post('/api/end-stream', (req, res) => {
       });
     }
   );
-});
+}
 
 // 自動檢查超過 60 秒未心跳 → 下架（放寬容忍度，避免網路抖動導致誤下架）
 setInterval(() => {
@@ -376,10 +743,115 @@ setInterval(() => {
   );
 }, 15000);
 
+// 聊天紀錄：chat_messages 資料列 → 與即時 chat-message 相同格式
+function chatRowToMessage(row) {
+  return {
+    id: row.msg_id,
+    roomId: row.room_id,
+    user: row.username,
+    userId: row.user_id,
+    text: row.text,
+    avatar: row.avatar,
+    isHost: !!row.is_host,
+    ts: new Date(row.created_at).getTime()
+  };
+}
+
+// 聊天歷史（分頁）：before = 最舊一則訊息的 id，回傳更早的訊息（由舊到新）
+// 只開放給該房間的主播（含 PK 合併房間的主播）與管理員；觀眾只會在 join-room 時收到最近幾則
+// （回放的聊天時間軸 /api/recordings/:id/chat 只含該場錄影期間的訊息，與回放一樣公開）
+app.get("/api/streams/:roomId/chat", (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const { roomId } = req.params;
+  const userId = req.session.user.id;
+  db.query(
+    `SELECT (SELECT role FROM users WHERE id=?) AS role,
+            EXISTS(SELECT 1 FROM streams WHERE room_id=? AND user_id=?)
+              OR EXISTS(SELECT 1 FROM pk_match_hosts WHERE room_id=? AND owner_id=?) AS is_host`,
+    [userId, roomId, userId, roomId, String(userId)],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 查詢聊天紀錄權限失敗：", err);
+        return res.status(500).json({ message: "讀取聊天紀錄失敗" });
+      }
+      const access = rows[0] || {};
+      if (access.role !== 'admin' && !access.is_host) return res.status(403).json({ message: "只有主播或管理員可以查看聊天紀錄" });
+      sendChatHistory(req, res, roomId);
+    }
+  );
+});
+
+function sendChatHistory(req, res, roomId) {
+  const { before } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || CHAT_PAGE_DEFAULT, 1), CHAT_PAGE_MAX);
+
+  let sql = "SELECT * FROM chat_messages WHERE room_id=? AND deleted_at IS NULL";
+  const args = [roomId];
+  if (before) {
+    sql += " AND id < (SELECT id FROM chat_messages WHERE msg_id=?)";
+    args.push(before);
+  }
+  // fetch one extra row to know whether older messages remain
+  sql += " ORDER BY id DESC LIMIT ?";
+  args.push(limit + 1);
+
+  db.query(sql, args, (err, results) => {
+    if (err) {
+      console.error("❌ 讀取聊天紀錄失敗：", err);
+      return res.status(500).json({ message: "讀取聊天紀錄失敗" });
+    }
+    const hasMore = results.length > limit;
+    const messages = results.slice(0, limit).reverse().map(chatRowToMessage);
+    res.json({
+      roomId,
+      messages,
+      hasMore,
+      nextBefore: hasMore && messages.length ? messages[0].id : null
+    });
+  });
+}
+
+// PK 投票結果（由 pk_votes 重新加總，可與即時票數對照）
+app.get("/api/pk/:roomId/votes", (req, res) => {
+  db.query(
+    `SELECT owner_id, SUM(votes) AS votes, COUNT(DISTINCT user_id) AS voters
+     FROM pk_votes WHERE room_id=? AND superseded_at IS NULL GROUP BY owner_id`,
+    [req.params.roomId],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 讀取 PK 票數失敗：", err);
+        return res.status(500).json({ message: "讀取失敗" });
+      }
+      const counts = {};
+      let total = 0;
+      rows.forEach(r => { counts[r.owner_id] = Number(r.votes); total += Number(r.votes); });
+      res.json({ roomId: req.params.roomId, counts, total, sides: rows.map(r => ({ ownerId: r.owner_id, votes: Number(r.votes), voters: r.voters })) });
+    }
+  );
+});
+
+// PK 投票稽核紀錄（管理員）：包含改投前的舊票與加碼扣款
+app.get("/api/admin/pk/:roomId/votes", requireAdmin, (req, res) => {
+  db.query(
+    `SELECT v.id, v.user_id, u.username, v.owner_id, v.kind, v.votes, v.cost, v.created_at, v.superseded_at
+     FROM pk_votes v LEFT JOIN users u ON u.id = v.user_id
+     WHERE v.room_id=? ORDER BY v.id`,
+    [req.params.roomId],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 讀取 PK 投票紀錄失敗：", err);
+        return res.status(500).json({ message: "讀取失敗" });
+      }
+      res.json(rows);
+    }
+  );
+});
+
 // 熱門直播列表（只顯示在線）
 app.get("/api/streams", (req, res) => {
   db.query(
-    "SELECT s.room_id, s.title, s.cover, s.description, u.username FROM streams s JOIN users u ON s.user_id=u.id WHERE s.status=TRUE ORDER BY s.created_at DESC",
+    `SELECT s.room_id, s.title, s.cover, s.description, u.username, ${STREAM_TAGS_SQL}
+     FROM streams s JOIN users u ON s.user_id=u.id WHERE s.status=TRUE ORDER BY s.created_at DESC`,
     (err, results) => {
       if (err) throw err;
       res.json(results);
@@ -391,7 +863,7 @@ app.get("/api/streams", (req, res) => {
 app.get("/api/stream-info", (req, res) => {
   const { room } = req.query;
   db.query(
-    "SELECT s.title, s.description, s.hashtags, s.cover, u.username FROM streams s JOIN users u ON s.user_id=u.id WHERE s.room_id=?",
+    `SELECT s.title, s.description, ${STREAM_TAGS_SQL}, s.cover, s.user_id, u.username FROM streams s JOIN users u ON s.user_id=u.id WHERE s.room_id=?`,
     [room],
     (err, results) => {
       if (err) throw err;
@@ -421,147 +893,2603 @@ app.get("/viewer.html", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "viewer.html"));
 });
 
-// --------------------- Socket.io：WebRTC + Chat ---------------------
-// make these maps global so all sockets share room counts and reaction stats
-const roomViewers = new Map();  // tracks viewer counts per room
-// per-room reaction registry: Map<roomId, Map<socketId, emojiType>>
-const roomReactions = new Map();
-// per-room PK vote tally: Map<combinedRoomId, Map<ownerId, count>>
-const roomPkVotes = new Map();
-// track which sockets are broadcasters in a room (roomId -> Set<socketId>)
-const roomBroadcasters = new Map();
-// track which socket is the broadcaster (owner) for a given roomId
-const roomOwners = new Map(); // roomId -> socketId
-// whether a room accepts PK invites
-const roomPkEnabled = new Map(); // roomId -> boolean
-
-io.on("connection", socket => {
-  // socket connected
-  console.log('[server] socket connected', socket.id);
-
-  // WebRTC 事件：房間隔離版本
-  socket.on("broadcaster", (roomId) => {
-    if (!roomId) return;
-    console.log('[server] broadcaster announces in room', roomId, socket.id);
-    // 在房間內廣播 broadcaster 事件
-    socket.to(roomId).emit("broadcaster", { roomId, broadcasterId: socket.id });
+// --------------------- Hashtag / 搜尋 ---------------------
+// 為直播加上標籤：hashtags 一個標籤一列（usage_count 為累計使用次數），stream_hashtags 為直播與標籤的對應
+function attachStreamHashtags(streamId, tags) {
+  tags.forEach(tag => {
+    // LAST_INSERT_ID(id)：標籤已存在時也能取得它的 id
+    db.query(
+      "INSERT INTO hashtags (tag_name, last_used_at) VALUES (?, NOW()) ON DUPLICATE KEY UPDATE usage_count = usage_count + 1, last_used_at = NOW(), id = LAST_INSERT_ID(id)",
+      [tag],
+      (err, result) => {
+        if (err) return console.error("❌ 更新 hashtag 失敗：", err);
+        db.query("INSERT IGNORE INTO stream_hashtags (stream_id, hashtag_id) VALUES (?,?)", [streamId, result.insertId], err2 => {
+          if (err2) console.error("❌ 寫入直播標籤失敗：", err2);
+        });
+      }
+    );
+  });
+}
 
-    // Fallback: treat this announce as an owner registration if none exists yet
-    if (!roomOwners.has(roomId)) {
-      roomOwners.set(roomId, socket.id);
-      roomPkEnabled.set(roomId, true);
-      if (!roomBroadcasters.has(roomId)) roomBroadcasters.set(roomId, new Set());
-      roomBroadcasters.get(roomId).add(socket.id);
-      console.log('[server] broadcaster announce auto-registered owner for room', roomId, 'socket', socket.id, 'owners size', roomOwners.size);
+// 舊版把標籤存成 streams.hashtags 自由文字：開機時轉進 stream_hashtags，轉完清成 NULL 避免重複執行
+// 舊標籤當初已計入 hashtags.usage_count，這裡只補對應、不再累加；新資料庫沒有這個欄位時直接略過
+function backfillStreamHashtags() {
+  db.query(
+    "SELECT id, hashtags FROM streams WHERE hashtags IS NOT NULL AND hashtags <> ''",
+    (err, rows) => {
+      if (err) {
+        if (err.code !== 'ER_BAD_FIELD_ERROR') console.error("❌ 讀取舊版直播標籤失敗：", err);
+        return;
+      }
+      rows.forEach(row => {
+        const tags = normalizeHashtags(row.hashtags);
+        let pending = tags.length;
+        let failed = false;
+        const clear = () => db.query("UPDATE streams SET hashtags = NULL WHERE id=?", [row.id], err2 => {
+          if (err2) console.error("❌ 清除舊版直播標籤失敗：", err2);
+        });
+        if (!pending) return clear();
+        tags.forEach(tag => {
+          db.query(
+            "INSERT INTO hashtags (tag_name) VALUES (?) ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)",
+            [tag],
+            (err2, result) => {
+              const done = err3 => {
+                if (err3) {
+                  failed = true;
+                  console.error("❌ 轉換舊版直播標籤失敗：", err3);
+                }
+                if (--pending === 0 && !failed) clear();
+              };
+              if (err2) return done(err2);
+              db.query("INSERT IGNORE INTO stream_hashtags (stream_id, hashtag_id) VALUES (?,?)", [row.id, result.insertId], done);
+            }
+          );
+        });
+      });
+      if (rows.length) console.log(`🔖 已將 ${rows.length} 筆舊版直播標籤轉入 stream_hashtags`);
     }
-  });
-  
-  // broadcaster declares itself as owner of a room
-  socket.on('broadcaster-join', roomId => {
-    try {
-      if (roomId) {
-        // Extract user info from session if available
-        const userInfo = {
-          socketId: socket.id,
-          userId: (socket.handshake.session && socket.handshake.session.user && socket.handshake.session.user.id) || null,
-          username: (socket.handshake.session && socket.handshake.session.user && socket.handshake.session.user.username) || '未知使用者'
-        };
-        socketToUser.set(socket.id, userInfo);
-        
-        roomOwners.set(roomId, socket.id);
-        roomPkEnabled.set(roomId, true); // default allow PK
-        socket.join(roomId);
-        // register in roomBroadcasters
-        if (!roomBroadcasters.has(roomId)) roomBroadcasters.set(roomId, new Set());
-        roomBroadcasters.get(roomId).add(socket.id);
-        console.log('[server] broadcaster joined room', roomId, socket.id, 'user:', userInfo.username, 'owners size', roomOwners.size);
-      }
-    } catch (e) {}
-  });
-  
-  socket.on('pk-toggle', ({ roomId, enabled }) => {
-    if (!roomId) return;
-    roomPkEnabled.set(roomId, !!enabled);
-  });
-  
-  // viewer-ready: 觀眾加入房間並準備接收串流
-  socket.on('viewer-ready', ({ roomId, viewerId }) => {
-    if (!roomId) return;
-    // 通知房間內的 broadcaster 有新觀眾準備好了
-    socket.to(roomId).emit('viewer-ready', { viewerId });
-  });
-  
-  socket.on("watcher", () => {
-    console.log('[server] watcher (legacy)', socket.id);
-    socket.broadcast.emit("watcher", socket.id);
-  });
-  
-  // WebRTC signaling: 點對點傳送（不限制成一個寶間，因為已經由 id 指定對象）
-  socket.on("offer", (id, message) => socket.to(id).emit("offer", socket.id, message));
-  socket.on("answer", (id, message) => socket.to(id).emit("answer", socket.id, message));
-  socket.on("candidate", (id, message) => socket.to(id).emit("candidate", socket.id, message));
-  socket.on("disconnect", () => socket.broadcast.emit("bye", socket.id));
+  );
+}
 
-  // 房間人數追蹤 (maps are global)
+function liveStreamRowToJson(row) {
+  return {
+    room_id: row.room_id,
+    title: row.title,
+    cover: row.cover,
+    description: row.description,
+    username: row.username,
+    hashtags: row.hashtags,
+    viewers: roomViewers.get(row.room_id) || 0
+  };
+}
 
-  function updateViewerCount(roomId) {
-    const room = io.sockets.adapter.rooms.get(roomId);
-    const count = room ? room.size : 0;
-    roomViewers.set(roomId, count);
-    io.to(roomId).emit("viewer-count", count);
+// 搜尋：q 以 # 開頭時只比對標籤，否則比對直播標題、簡介、主播名稱與標籤
+// 回傳開播中的直播、符合的使用者與標籤；q 剛好是開播中的房號時 room 為該房號（首頁直接進入）
+app.get('/api/search', (req, res) => {
+  const raw = String(req.query.q || '').normalize('NFKC').trim();
+  if (!raw) return res.json({ q: '', room: null, streams: [], users: [], hashtags: [] });
+  const tagOnly = raw.startsWith('#');
+  const tag = normalizeHashtags(tagOnly ? raw : '#' + raw)[0] || '';
+  const like = `%${escapeLike(raw)}%`;
+  const tagLike = `%${escapeLike(tag)}%`;
+
+  const tagMatch = "EXISTS (SELECT 1 FROM stream_hashtags sh2 JOIN hashtags h2 ON h2.id = sh2.hashtag_id WHERE sh2.stream_id = s.id AND h2.tag_name LIKE ?)";
+  const conditions = tagOnly ? [] : ['s.title LIKE ?', 's.description LIKE ?', 'u.username LIKE ?'];
+  const whereArgs = tagOnly ? [] : [like, like, like];
+  // q 正規化後不是有效標籤（例如只有符號）時不比對標籤，否則 LIKE '%%' 會符合所有有標籤的直播
+  if (tag) {
+    conditions.push(tagMatch);
+    whereArgs.push(tagLike);
   }
+  const where = conditions.length ? `(${conditions.join(' OR ')})` : 'FALSE';
 
-  // Chatroom：加入房間
-  socket.on("join-room", roomId => {
-    socket.join(roomId);
-    io.to(roomId).emit("system-message", "有個人加入直播，你好！");
-    updateViewerCount(roomId);
-    
-    // If this is a PK combined room, send broadcaster info to the joining socket
-    if (roomBroadcasters.has(roomId)) {
-      const broadcasterIds = Array.from(roomBroadcasters.get(roomId));
-      const broadcasterInfos = broadcasterIds.map(bid => {
-        const info = socketToUser.get(bid) || { socketId: bid, userId: null, username: '未知使用者' };
-        return { socketId: bid, ...info };
+  db.query(
+    `SELECT s.room_id, s.title, s.cover, s.description, u.username, ${STREAM_TAGS_SQL}
+     FROM streams s JOIN users u ON u.id = s.user_id
+     WHERE s.status=TRUE AND (s.room_id = ? OR ${where})
+     ORDER BY s.room_id = ? DESC, s.created_at DESC LIMIT ?`,
+    [raw, ...whereArgs, raw, SEARCH_STREAMS_MAX],
+    (err, streams) => {
+      if (err) {
+        console.error("❌ 搜尋直播失敗：", err);
+        return res.status(500).json({ message: "搜尋失敗" });
+      }
+      const usersSql = tagOnly
+        ? "SELECT id, username, avatar, bio FROM users WHERE FALSE"
+        : "SELECT id, username, avatar, bio FROM users WHERE username LIKE ? ORDER BY username = ? DESC, id LIMIT ?";
+      db.query(usersSql, [like, raw, SEARCH_USERS_MAX], (err2, users) => {
+        if (err2) console.error("❌ 搜尋使用者失敗：", err2);
+        db.query(
+          "SELECT tag_name, usage_count FROM hashtags WHERE tag_name LIKE ? ORDER BY tag_name = ? DESC, usage_count DESC LIMIT ?",
+          [tagLike, tag, SEARCH_USERS_MAX],
+          (err3, tags) => {
+            if (err3) console.error("❌ 搜尋標籤失敗：", err3);
+            const exact = streams.find(st => st.room_id === raw);
+            res.json({
+              q: raw,
+              room: exact ? exact.room_id : null,
+              streams: streams.map(liveStreamRowToJson),
+              users: (users || []).map(u => ({ id: u.id, username: u.username, avatar: u.avatar, bio: u.bio })),
+              hashtags: tag ? (tags || []).map(t => ({ tag: t.tag_name, usageCount: t.usage_count })) : []
+            });
+          }
+        );
       });
-      socket.emit('broadcaster-info', { roomId, broadcasters: broadcasterInfos });
-      console.log('[server] Sent broadcaster info to viewer in room', roomId, ':', broadcasterInfos.map(b => b.username));
     }
-    
-    // ensure reaction map exists for this room
-    if (!roomReactions.has(roomId)) roomReactions.set(roomId, new Map());
-    // send current reaction stats to the joining client
-    const map = roomReactions.get(roomId) || new Map();
-    const counts = {};
-    for (const t of map.values()) counts[t] = (counts[t] || 0) + 1;
-    let topType = null, topCount = 0;
-    for (const [k, v] of Object.entries(counts)) {
-      if (v > topCount) { topType = k; topCount = v; }
+  );
+});
+
+// 熱門話題：依開播中的直播數（加權）與最近 TRENDING_WINDOW_DAYS 天的開播次數排序
+app.get('/api/hashtags/trending', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || TRENDING_LIMIT_DEFAULT, 1), TRENDING_LIMIT_MAX);
+  db.query(
+    `SELECT h.tag_name, h.usage_count,
+            SUM(s.status = TRUE) AS live,
+            SUM(s.created_at >= NOW() - INTERVAL ? DAY) AS recent
+     FROM hashtags h
+     JOIN stream_hashtags sh ON sh.hashtag_id = h.id
+     JOIN streams s ON s.id = sh.stream_id
+     WHERE s.status = TRUE OR s.created_at >= NOW() - INTERVAL ? DAY
+     GROUP BY h.id
+     ORDER BY (SUM(s.status = TRUE) * ? + SUM(s.created_at >= NOW() - INTERVAL ? DAY)) DESC, h.usage_count DESC
+     LIMIT ?`,
+    [TRENDING_WINDOW_DAYS, TRENDING_WINDOW_DAYS, TRENDING_LIVE_WEIGHT, TRENDING_WINDOW_DAYS, limit],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 讀取熱門話題失敗：", err);
+        return res.status(500).json({ message: "讀取熱門話題失敗" });
+      }
+      res.json(rows.map(r => ({ tag: r.tag_name, live: Number(r.live), recent: Number(r.recent), usageCount: r.usage_count })));
     }
-    io.to(roomId).emit('reaction-stats', { topType, topCount, counts });
-  });
+  );
+});
+
+// 標籤頁：該標籤下開播中的直播
+app.get('/api/hashtags/:tag', (req, res) => {
+  const tag = normalizeHashtags('#' + req.params.tag)[0];
+  if (!tag) return res.status(400).json({ message: "標籤格式不正確" });
+  db.query("SELECT id, tag_name, usage_count FROM hashtags WHERE tag_name=?", [tag], (err, tags) => {
+    if (err) {
+      console.error("❌ 讀取標籤失敗：", err);
+      return res.status(500).json({ message: "讀取標籤失敗" });
+    }
+    if (!tags[0]) return res.json({ tag, usageCount: 0, streams: [] });
+    db.query(
+      `SELECT s.room_id, s.title, s.cover, s.description, u.username, ${STREAM_TAGS_SQL}
+       FROM stream_hashtags t
+       JOIN streams s ON s.id = t.stream_id
+       JOIN users u ON u.id = s.user_id
+       WHERE t.hashtag_id=? AND s.status=TRUE
+       ORDER BY s.created_at DESC`,
+      [tags[0].id],
+      (err2, streams) => {
+        if (err2) {
+          console.error("❌ 讀取標籤直播失敗：", err2);
+          return res.status(500).json({ message: "讀取標籤失敗" });
+        }
+        res.json({ tag, usageCount: tags[0].usage_count, streams: streams.map(liveStreamRowToJson) });
+      }
+    );
+  });
+});
+
+// --------------------- 場景 / 畫面疊加 ---------------------
+// 主播自訂的場景：每個場景是一組疊加圖層（座標、大小皆為畫布比例 0~1），由 broadcaster.html 畫在 canvas 上
+const SCENE_LAYER_TYPES = ['text', 'image', 'timer', 'viewers', 'reaction'];
+const SCENE_MAX_LAYERS = 20;
+const SCENE_MAX_PER_USER = 20;
+
+// 只保留已知欄位並限制範圍，避免把任意 JSON 存進資料庫
+function normalizeSceneLayers(layers) {
+  if (!Array.isArray(layers)) return null;
+  const frac = (v, def) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : def;
+  };
+  const color = v => (typeof v === 'string' && /^#[0-9a-fA-F]{3,8}$/.test(v) ? v : null);
+  return layers.slice(0, SCENE_MAX_LAYERS).map(l => {
+    if (!l || !SCENE_LAYER_TYPES.includes(l.type)) return null;
+    const layer = {
+      type: l.type,
+      x: frac(l.x, 0.05),
+      y: frac(l.y, 0.05),
+      size: Math.min(Math.max(Number(l.size) || 0.05, 0.02), 0.3),
+      color: color(l.color) || '#ffffff',
+      bg: color(l.bg) || ''
+    };
+    if (l.type === 'text') layer.text = String(l.text || '').slice(0, 120);
+    if (l.type === 'timer') {
+      layer.label = String(l.label || '').slice(0, 40);
+      const seconds = Math.floor(Number(l.duration));
+      layer.duration = seconds >= 1 && seconds <= 24 * 60 * 60 ? seconds : 300;
+    }
+    if (l.type === 'image') {
+      // only images uploaded through /api/overlay-image
+      if (typeof l.src !== 'string' || !/^\/uploads\/overlays\/\d+\/[\w.-]+$/.test(l.src)) return null;
+      layer.src = l.src;
+      layer.w = Math.min(Math.max(Number(l.w) || 0.2, 0.02), 1);
+    }
+    return layer;
+  }).filter(Boolean);
+}
+
+function sceneRowToJson(row) {
+  let layers = [];
+  try { layers = JSON.parse(row.layers); } catch (e) { /* keep empty */ }
+  return { id: row.id, name: row.name, position: row.position, layers, updatedAt: row.updated_at };
+}
+
+app.get('/api/scenes', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  db.query("SELECT * FROM scenes WHERE user_id=? ORDER BY position, id", [req.session.user.id], (err, rows) => {
+    if (err) {
+      console.error("❌ 讀取場景失敗：", err);
+      return res.status(500).json({ message: "讀取場景失敗" });
+    }
+    res.json(rows.map(sceneRowToJson));
+  });
+});
+
+app.post('/api/scenes', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const name = String(req.body.name || '').trim().slice(0, 50);
+  const layers = normalizeSceneLayers(req.body.layers || []);
+  if (!name) return res.status(400).json({ message: "請輸入場景名稱" });
+  if (!layers) return res.status(400).json({ message: "圖層格式錯誤" });
+  const userId = req.session.user.id;
+  db.query("SELECT COUNT(*) AS n, COALESCE(MAX(position), -1) AS maxPos FROM scenes WHERE user_id=?", [userId], (err, rows) => {
+    if (err) {
+      console.error("❌ 建立場景失敗：", err);
+      return res.status(500).json({ message: "建立場景失敗" });
+    }
+    if (rows[0].n >= SCENE_MAX_PER_USER) return res.status(400).json({ message: `最多只能建立 ${SCENE_MAX_PER_USER} 個場景` });
+    db.query(
+      "INSERT INTO scenes (user_id, name, layers, position) VALUES (?,?,?,?)",
+      [userId, name, JSON.stringify(layers), rows[0].maxPos + 1],
+      (insErr, result) => {
+        if (insErr) {
+          console.error("❌ 建立場景失敗：", insErr);
+          return res.status(500).json({ message: "建立場景失敗" });
+        }
+        res.json({ id: result.insertId, name, position: rows[0].maxPos + 1, layers });
+      }
+    );
+  });
+});
+
+app.put('/api/scenes/:id', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const name = String(req.body.name || '').trim().slice(0, 50);
+  const layers = normalizeSceneLayers(req.body.layers || []);
+  if (!name) return res.status(400).json({ message: "請輸入場景名稱" });
+  if (!layers) return res.status(400).json({ message: "圖層格式錯誤" });
+  db.query(
+    "UPDATE scenes SET name=?, layers=? WHERE id=? AND user_id=?",
+    [name, JSON.stringify(layers), req.params.id, req.session.user.id],
+    (err, result) => {
+      if (err) {
+        console.error("❌ 更新場景失敗：", err);
+        return res.status(500).json({ message: "更新場景失敗" });
+      }
+      if (!result.affectedRows) return res.status(404).json({ message: "找不到場景" });
+      res.json({ id: Number(req.params.id), name, layers });
+    }
+  );
+});
+
+app.delete('/api/scenes/:id', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  db.query("DELETE FROM scenes WHERE id=? AND user_id=?", [req.params.id, req.session.user.id], (err, result) => {
+    if (err) {
+      console.error("❌ 刪除場景失敗：", err);
+      return res.status(500).json({ message: "刪除場景失敗" });
+    }
+    if (!result.affectedRows) return res.status(404).json({ message: "找不到場景" });
+    res.json({ message: "已刪除場景" });
+  });
+});
+
+// 上傳場景用的圖片（Logo）
+app.post('/api/overlay-image', overlayUpload.single('image'), (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  if (!req.file) return res.status(400).json({ message: "請選擇圖片檔（PNG / JPEG / GIF / WebP，2MB 以內）" });
+  // mimetype 由 client 提供，再以檔案內容確認確實是同一種圖片
+  fs.open(req.file.path, 'r', (err, fd) => {
+    if (err) {
+      console.error("❌ 讀取上傳圖片失敗：", err);
+      return res.status(500).json({ message: "上傳失敗" });
+    }
+    const head = Buffer.alloc(12);
+    fs.read(fd, head, 0, head.length, 0, (err2, bytesRead) => {
+      fs.close(fd, () => {});
+      if (err2 || sniffImageType(head.subarray(0, bytesRead)) !== req.file.mimetype) {
+        if (err2) console.error("❌ 讀取上傳圖片失敗：", err2);
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ message: "檔案內容不是有效的圖片" });
+      }
+      res.json({ src: `/uploads/overlays/${req.session.user.id}/${req.file.filename}` });
+    });
+  });
+});
+
+// --------------------- 禮物 ---------------------
+// PK 中送禮會替收禮方加票：每份禮物的票數 = 價格 ÷ 加碼票單價（至少 1 票），與花錢加碼等值
+function giftPkVotes(price) {
+  return Math.max(1, Math.round(Number(price) / PK_EXTRA_VOTE_PRICE));
+}
+
+// 禮物目錄
+app.get('/api/gifts', (req, res) => {
+  db.query("SELECT id, name, icon, price FROM gifts WHERE active=TRUE ORDER BY position, price", (err, rows) => {
+    if (err) {
+      console.error("❌ 讀取禮物目錄失敗：", err);
+      return res.status(500).json({ message: "讀取禮物目錄失敗" });
+    }
+    res.json(rows.map(g => ({ id: g.id, name: g.name, icon: g.icon, price: Number(g.price), pkVotes: giftPkVotes(g.price) })));
+  });
+});
+
+// 在同一筆 MySQL 交易中扣送禮者餘額、加到收禮者、寫入 transactions（PK 中另寫入 kind='gift' 的 pk_votes）
+// 失敗原因為 { reason } 時回傳給 client，其餘視為 server-error
+function transferGift({ fromUserId, toUserId, giftId, quantity, roomId, pkOwnerId, requestId }, cb) {
+  withTransaction((conn, done) => {
+    conn.query("SELECT id, name, icon, price FROM gifts WHERE id=? AND active=TRUE", [giftId], (err, gifts) => {
+      if (err) return done(err);
+      if (!gifts.length) return done({ reason: 'invalid-gift' });
+      const gift = gifts[0];
+      const amount = Math.round(Number(gift.price) * 100 * quantity) / 100;
+      // 條件式 UPDATE：餘額不足時不會扣成負數
+      conn.query("UPDATE users SET balance=balance-? WHERE id=? AND balance>=?", [amount, fromUserId, amount], (err2, debit) => {
+        if (err2) return done(err2);
+        if (!debit.affectedRows) return done({ reason: 'insufficient-balance' });
+        conn.query("UPDATE users SET balance=balance+? WHERE id=?", [amount, toUserId], (err3, credit) => {
+          if (err3) return done(err3);
+          if (!credit.affectedRows) return done({ reason: 'invalid-target' });
+          conn.query(
+            "INSERT INTO transactions (type, from_user_id, to_user_id, amount, gift_id, quantity, room_id, idempotency_key) VALUES ('gift',?,?,?,?,?,?,?)",
+            [fromUserId, toUserId, amount, gift.id, quantity, roomId, requestId],
+            (err4, inserted) => {
+              // 同一個 requestId 已經送過（網路重送），整筆交易回滾
+              if (err4) return done(err4.code === 'ER_DUP_ENTRY' ? { reason: 'duplicate' } : err4);
+              const votes = pkOwnerId ? giftPkVotes(gift.price) * quantity : 0;
+              const finish = err5 => {
+                if (err5) return done(err5);
+                conn.query("SELECT balance FROM users WHERE id=?", [fromUserId], (err6, rows) => {
+                  if (err6) return done(err6);
+                  done(null, { gift, amount, votes, transactionId: inserted.insertId, balance: rows[0].balance });
+                });
+              };
+              if (!votes) return finish();
+              conn.query(
+                "INSERT INTO pk_votes (room_id, user_id, owner_id, kind, votes, cost) VALUES (?,?,?,'gift',?,?)",
+                [roomId, fromUserId, pkOwnerId, votes, amount],
+                finish
+              );
+            }
+          );
+        });
+      });
+    });
+  }, cb);
+}
+
+// 收禮者：PK 房間為指定的 ownerId（須仍在比賽中），一般直播間為開播中的房主。cb(err, { userId, username, pkOwnerId } | null)
+function resolveGiftRecipient(roomId, ownerId, cb) {
+  const match = pkMatches.get(roomId);
+  if (match) {
+    const host = match.hosts.find(h => !h.leftAt && String(h.ownerId) === String(ownerId));
+    if (!host) return cb(null, null);
+    // ownerId 在查不到房主時會退回房間 id，所以從主播原本的房間找出收禮者
+    return db.query(
+      "SELECT u.id, u.username FROM streams s JOIN users u ON u.id = s.user_id WHERE s.room_id=? LIMIT 1",
+      [host.room],
+      (err, rows) => {
+        if (err || !rows[0]) return cb(err, null);
+        cb(null, { userId: rows[0].id, username: rows[0].username, pkOwnerId: String(host.ownerId) });
+      }
+    );
+  }
+  db.query(
+    "SELECT u.id, u.username FROM streams s JOIN users u ON u.id = s.user_id WHERE s.room_id=? AND s.status=TRUE LIMIT 1",
+    [roomId],
+    (err, rows) => {
+      if (err || !rows[0]) return cb(err, null);
+      cb(null, { userId: rows[0].id, username: rows[0].username, pkOwnerId: null });
+    }
+  );
+}
+
+// --------------------- 錢包 / 金流 ---------------------
+// 所有餘額異動都在 MySQL 交易中同時更新 users.balance 並寫入 transactions，
+// 因此任一使用者的 balance 應等於 transactions 中「收入 − 支出」（見 /api/admin/wallet/reconcile）
+
+// 金流供應商介面（新增供應商時在此註冊，並以 PAYMENT_PROVIDER 選用）：
+//   createCharge({ topupId, userId, amount }, cb)  cb(err, { ref, status: 'succeeded' | 'pending' | 'failed', checkoutUrl })
+//   parseWebhook(req, cb)                           cb(err, { ref, status: 'succeeded' | 'failed' })，需自行驗證簽章
+//   createPayout({ payoutId, userId, amount }, cb)  cb(err, { ref })
+// topupId / payoutId 應作為供應商端的 idempotency key，重試時不會重複扣款或撥款
+const paymentProviders = {
+  // 本機模擬：付款立即成功、撥款立即完成，不需要網路
+  mock: {
+    createCharge({ topupId }, cb) {
+      setImmediate(() => cb(null, { ref: `mock_ch_${topupId}`, status: 'succeeded' }));
+    },
+    parseWebhook(req, cb) {
+      cb(new Error('mock provider does not send webhooks'));
+    },
+    createPayout({ payoutId }, cb) {
+      setImmediate(() => cb(null, { ref: `mock_po_${payoutId}` }));
+    }
+  }
+};
+
+function activePaymentProvider() {
+  return PAYMENT_PROVIDER ? paymentProviders[PAYMENT_PROVIDER] || null : null;
+}
+
+function walletTxToJson(row, userId) {
+  const outgoing = String(row.from_user_id) === String(userId);
+  return {
+    id: row.id,
+    type: row.type,
+    direction: outgoing ? 'out' : 'in',
+    amount: Number(row.amount),
+    counterparty: outgoing ? row.to_username || null : row.from_username || null,
+    gift: row.gift_id ? { id: row.gift_id, name: row.gift_name, icon: row.gift_icon } : null,
+    quantity: row.quantity,
+    roomId: row.room_id,
+    refId: row.ref_id,
+    createdAt: row.created_at
+  };
+}
+
+function topupToJson(row) {
+  return { id: row.id, amount: Number(row.amount), provider: row.provider, status: row.status, createdAt: row.created_at, completedAt: row.completed_at };
+}
+
+function payoutToJson(row) {
+  return {
+    id: row.id,
+    amount: Number(row.amount),
+    status: row.status,
+    note: row.note,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    username: row.username
+  };
+}
+
+// 錢包：餘額 + 交易紀錄（分頁：before = 上一頁最後一筆的 id）
+app.get('/api/wallet', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const userId = req.session.user.id;
+  const limit = Math.min(Math.max(Number(req.query.limit) || WALLET_PAGE_DEFAULT, 1), WALLET_PAGE_MAX);
+  let sql = `SELECT t.*, fu.username AS from_username, tu.username AS to_username, g.name AS gift_name, g.icon AS gift_icon
+             FROM transactions t
+             LEFT JOIN users fu ON fu.id = t.from_user_id
+             LEFT JOIN users tu ON tu.id = t.to_user_id
+             LEFT JOIN gifts g ON g.id = t.gift_id
+             WHERE (t.from_user_id=? OR t.to_user_id=?)`;
+  const args = [userId, userId];
+  if (req.query.before) {
+    sql += " AND t.id < ?";
+    args.push(Number(req.query.before));
+  }
+  // fetch one extra row to know whether older transactions remain
+  sql += " ORDER BY t.id DESC LIMIT ?";
+  args.push(limit + 1);
+
+  db.query("SELECT balance FROM users WHERE id=?", [userId], (err, users) => {
+    if (err || !users[0]) {
+      if (err) console.error("❌ 讀取錢包餘額失敗：", err);
+      return res.status(err ? 500 : 404).json({ message: err ? "讀取錢包失敗" : "找不到使用者" });
+    }
+    db.query(sql, args, (err2, rows) => {
+      if (err2) {
+        console.error("❌ 讀取交易紀錄失敗：", err2);
+        return res.status(500).json({ message: "讀取錢包失敗" });
+      }
+      const hasMore = rows.length > limit;
+      const transactions = rows.slice(0, limit).map(row => walletTxToJson(row, userId));
+      res.json({
+        balance: Number(users[0].balance),
+        transactions,
+        hasMore,
+        nextBefore: hasMore && transactions.length ? transactions[transactions.length - 1].id : null
+      });
+    });
+  });
+});
+
+// 儲值入帳：只有 pending 的儲值單會入帳，重複呼叫（webhook 重送、同時回應）不會重複加值
+function completeTopup(topupId, providerRef, cb) {
+  withTransaction((conn, done) => {
+    conn.query("SELECT * FROM topups WHERE id=? FOR UPDATE", [topupId], (err, rows) => {
+      if (err) return done(err);
+      const topup = rows[0];
+      if (!topup) return done({ reason: 'not-found' });
+      if (topup.status !== 'pending') return done(null, topup);
+      conn.query(
+        "UPDATE topups SET status='completed', provider_ref=COALESCE(?, provider_ref), completed_at=NOW() WHERE id=?",
+        [providerRef || null, topupId],
+        err2 => {
+          if (err2) return done(err2);
+          conn.query("UPDATE users SET balance=balance+? WHERE id=?", [topup.amount, topup.user_id], err3 => {
+            if (err3) return done(err3);
+            conn.query(
+              "INSERT INTO transactions (type, to_user_id, amount, ref_id) VALUES ('topup',?,?,?)",
+              [topup.user_id, topup.amount, topup.id],
+              err4 => {
+                if (err4) return done(err4);
+                done(null, { ...topup, status: 'completed', completed_at: new Date() });
+              }
+            );
+          });
+        }
+      );
+    });
+  }, cb);
+}
+
+function failTopup(topupId, providerRef, cb) {
+  db.query(
+    "UPDATE topups SET status='failed', provider_ref=COALESCE(?, provider_ref) WHERE id=? AND status='pending'",
+    [providerRef || null, topupId],
+    cb
+  );
+}
+
+// 儲值：{ amount }，需帶 Idempotency-Key header；相同 key 重送時回傳同一張儲值單
+app.post('/api/wallet/topups', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const userId = req.session.user.id;
+  const key = normalizeIdempotencyKey(req.get('Idempotency-Key') || req.body.idempotencyKey);
+  if (!key) return res.status(400).json({ message: "缺少 Idempotency-Key" });
+  const amount = normalizeMoney(req.body.amount);
+  if (!amount || amount < TOPUP_MIN || amount > TOPUP_MAX) {
+    return res.status(400).json({ message: `儲值金額需介於 ${TOPUP_MIN} ~ ${TOPUP_MAX}` });
+  }
+  const provider = activePaymentProvider();
+  if (!provider) return res.status(503).json({ message: "尚未設定金流供應商" });
+
+  const respond = topup => {
+    db.query("SELECT balance FROM users WHERE id=?", [userId], (err, rows) => {
+      res.json({ topup: topupToJson(topup), balance: !err && rows[0] ? Number(rows[0].balance) : undefined });
+    });
+  };
+
+  db.query(
+    "INSERT INTO topups (user_id, amount, provider, idempotency_key) VALUES (?,?,?,?)",
+    [userId, amount, PAYMENT_PROVIDER, key],
+    (err, result) => {
+      if (err && err.code === 'ER_DUP_ENTRY') {
+        return db.query("SELECT * FROM topups WHERE user_id=? AND idempotency_key=?", [userId, key], (err2, rows) => {
+          if (err2 || !rows[0]) return res.status(500).json({ message: "儲值失敗" });
+          if (Number(rows[0].amount) !== amount) return res.status(409).json({ message: "Idempotency-Key 已用於不同金額的儲值" });
+          respond(rows[0]);
+        });
+      }
+      if (err) {
+        console.error("❌ 建立儲值單失敗：", err);
+        return res.status(500).json({ message: "儲值失敗" });
+      }
+      const topupId = result.insertId;
+      provider.createCharge({ topupId, userId, amount }, (err2, charge) => {
+        if (err2 || !charge || charge.status === 'failed') {
+          if (err2) console.error("❌ 金流付款失敗：", err2);
+          return failTopup(topupId, charge && charge.ref, () => res.status(502).json({ message: "付款失敗" }));
+        }
+        if (charge.status === 'pending') {
+          // 等供應商 webhook 通知付款結果後才入帳
+          return db.query("UPDATE topups SET provider_ref=? WHERE id=?", [charge.ref, topupId], () => {
+            res.status(202).json({ topup: { id: topupId, amount, provider: PAYMENT_PROVIDER, status: 'pending' }, checkoutUrl: charge.checkoutUrl || null });
+          });
+        }
+        completeTopup(topupId, charge.ref, (err3, topup) => {
+          if (err3) {
+            console.error("❌ 儲值入帳失敗：", err3);
+            return res.status(500).json({ message: "儲值入帳失敗" });
+          }
+          respond(topup);
+        });
+      });
+    }
+  );
+});
+
+// 金流供應商的付款結果通知（非同步付款）
+app.post('/api/wallet/webhook/:provider', (req, res) => {
+  const provider = paymentProviders[req.params.provider];
+  if (!provider) return res.status(404).json({ message: "未知的金流供應商" });
+  provider.parseWebhook(req, (err, event) => {
+    if (err || !event || !event.ref) {
+      console.warn('[wallet] rejected webhook from', req.params.provider, err ? err.message || err : 'no ref');
+      return res.status(400).json({ message: "無效的通知" });
+    }
+    db.query("SELECT id FROM topups WHERE provider=? AND provider_ref=?", [req.params.provider, event.ref], (err2, rows) => {
+      if (err2) {
+        console.error("❌ 查詢儲值單失敗：", err2);
+        return res.status(500).json({ message: "處理失敗" });
+      }
+      // 不認得的付款：回 200 避免供應商一直重送
+      if (!rows[0]) return res.json({ received: true });
+      const finish = err3 => {
+        if (err3) {
+          console.error("❌ 處理付款通知失敗：", err3);
+          return res.status(500).json({ message: "處理失敗" });
+        }
+        res.json({ received: true });
+      };
+      if (event.status === 'succeeded') return completeTopup(rows[0].id, event.ref, finish);
+      if (event.status === 'failed') return failTopup(rows[0].id, event.ref, finish);
+      res.json({ received: true });
+    });
+  });
+});
+
+// 主播提領申請：{ amount }，需帶 Idempotency-Key header；申請時即從餘額扣除（保留），被退回時退款
+app.post('/api/wallet/payouts', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const userId = req.session.user.id;
+  const key = normalizeIdempotencyKey(req.get('Idempotency-Key') || req.body.idempotencyKey);
+  if (!key) return res.status(400).json({ message: "缺少 Idempotency-Key" });
+  const amount = normalizeMoney(req.body.amount);
+  if (!amount || amount < PAYOUT_MIN) return res.status(400).json({ message: `提領金額至少 ${PAYOUT_MIN}` });
+
+  db.query("SELECT 1 FROM streams WHERE user_id=? LIMIT 1", [userId], (err, streams) => {
+    if (err) {
+      console.error("❌ 查詢直播紀錄失敗：", err);
+      return res.status(500).json({ message: "提領申請失敗" });
+    }
+    if (!streams.length) return res.status(403).json({ message: "只有主播可以申請提領" });
+
+    withTransaction((conn, done) => {
+      conn.query(
+        "INSERT INTO payouts (user_id, amount, idempotency_key) VALUES (?,?,?)",
+        [userId, amount, key],
+        (err2, result) => {
+          if (err2) return done(err2.code === 'ER_DUP_ENTRY' ? { reason: 'duplicate' } : err2);
+          conn.query("UPDATE users SET balance=balance-? WHERE id=? AND balance>=?", [amount, userId, amount], (err3, debit) => {
+            if (err3) return done(err3);
+            if (!debit.affectedRows) return done({ reason: 'insufficient-balance' });
+            conn.query(
+              "INSERT INTO transactions (type, from_user_id, amount, ref_id) VALUES ('payout',?,?,?)",
+              [userId, amount, result.insertId],
+              err4 => {
+                if (err4) return done(err4);
+                conn.query("SELECT * FROM payouts WHERE id=?", [result.insertId], (err5, rows) => done(err5, rows && rows[0]));
+              }
+            );
+          });
+        }
+      );
+    }, (err2, payout) => {
+      if (err2 && err2.reason === 'insufficient-balance') return res.status(400).json({ message: "餘額不足" });
+      if (err2 && err2.reason === 'duplicate') {
+        return db.query("SELECT * FROM payouts WHERE user_id=? AND idempotency_key=?", [userId, key], (err3, rows) => {
+          if (err3 || !rows[0]) return res.status(500).json({ message: "提領申請失敗" });
+          if (Number(rows[0].amount) !== amount) return res.status(409).json({ message: "Idempotency-Key 已用於不同金額的提領" });
+          res.json({ payout: payoutToJson(rows[0]) });
+        });
+      }
+      if (err2) {
+        console.error("❌ 提領申請失敗：", err2);
+        return res.status(500).json({ message: "提領申請失敗" });
+      }
+      res.json({ payout: payoutToJson(payout) });
+    });
+  });
+});
+
+// 自己的提領申請
+app.get('/api/wallet/payouts', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  db.query("SELECT * FROM payouts WHERE user_id=? ORDER BY id DESC LIMIT 50", [req.session.user.id], (err, rows) => {
+    if (err) {
+      console.error("❌ 讀取提領紀錄失敗：", err);
+      return res.status(500).json({ message: "讀取提領紀錄失敗" });
+    }
+    res.json(rows.map(payoutToJson));
+  });
+});
+
+// 管理員：提領申請列表（status 預設 pending）
+app.get('/api/admin/payouts', requireAdmin, (req, res) => {
+  const status = ['pending', 'processing', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+  db.query(
+    "SELECT p.*, u.username FROM payouts p JOIN users u ON u.id = p.user_id WHERE p.status=? ORDER BY p.id LIMIT 200",
+    [status],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 讀取提領申請失敗：", err);
+        return res.status(500).json({ message: "讀取提領申請失敗" });
+      }
+      res.json(rows.map(payoutToJson));
+    }
+  );
+});
+
+// 審核結果已是目標狀態時直接回傳（重送安全），其他狀態回 409
+function respondPayoutState(res, payoutId, wanted) {
+  db.query("SELECT p.*, u.username FROM payouts p JOIN users u ON u.id = p.user_id WHERE p.id=?", [payoutId], (err, rows) => {
+    if (err) return res.status(500).json({ message: "讀取提領申請失敗" });
+    if (!rows[0]) return res.status(404).json({ message: "找不到提領申請" });
+    if (rows[0].status !== wanted) return res.status(409).json({ message: `提領申請目前為 ${rows[0].status}`, payout: payoutToJson(rows[0]) });
+    res.json({ payout: payoutToJson(rows[0]) });
+  });
+}
+
+// 管理員核准：先標記 processing 取得處理權，撥款成功後才標記 approved；撥款失敗時退回 pending 可再試
+app.post('/api/admin/payouts/:id/approve', requireAdmin, (req, res) => {
+  const payoutId = Number(req.params.id);
+  const provider = activePaymentProvider();
+  if (!provider) return res.status(503).json({ message: "尚未設定金流供應商" });
+  db.query("UPDATE payouts SET status='processing' WHERE id=? AND status='pending'", [payoutId], (err, claim) => {
+    if (err) {
+      console.error("❌ 更新提領申請失敗：", err);
+      return res.status(500).json({ message: "核准失敗" });
+    }
+    if (!claim.affectedRows) return respondPayoutState(res, payoutId, 'approved');
+    db.query("SELECT * FROM payouts WHERE id=?", [payoutId], (err2, rows) => {
+      if (err2 || !rows[0]) return res.status(500).json({ message: "核准失敗" });
+      const payout = rows[0];
+      provider.createPayout({ payoutId, userId: payout.user_id, amount: Number(payout.amount) }, (err3, result) => {
+        if (err3) {
+          console.error("❌ 金流撥款失敗：", err3);
+          return db.query("UPDATE payouts SET status='pending' WHERE id=? AND status='processing'", [payoutId], () => {
+            res.status(502).json({ message: "撥款失敗，請稍後再試" });
+          });
+        }
+        db.query(
+          "UPDATE payouts SET status='approved', provider_ref=?, reviewed_by=?, reviewed_at=NOW() WHERE id=? AND status='processing'",
+          [result && result.ref ? result.ref : null, req.session.user.id, payoutId],
+          err4 => {
+            if (err4) console.error("❌ 更新提領申請失敗：", err4);
+            respondPayoutState(res, payoutId, 'approved');
+          }
+        );
+      });
+    });
+  });
+});
+
+// 管理員退回：{ note }，同一筆交易中把保留的金額退回主播餘額
+app.post('/api/admin/payouts/:id/reject', requireAdmin, (req, res) => {
+  const payoutId = Number(req.params.id);
+  const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 255) : null;
+  withTransaction((conn, done) => {
+    conn.query("SELECT * FROM payouts WHERE id=? FOR UPDATE", [payoutId], (err, rows) => {
+      if (err) return done(err);
+      const payout = rows[0];
+      if (!payout || payout.status !== 'pending') return done({ reason: 'invalid-state' });
+      conn.query(
+        "UPDATE payouts SET status='rejected', note=?, reviewed_by=?, reviewed_at=NOW() WHERE id=?",
+        [note, req.session.user.id, payoutId],
+        err2 => {
+          if (err2) return done(err2);
+          conn.query("UPDATE users SET balance=balance+? WHERE id=?", [payout.amount, payout.user_id], err3 => {
+            if (err3) return done(err3);
+            conn.query(
+              "INSERT INTO transactions (type, to_user_id, amount, ref_id) VALUES ('payout-reversal',?,?,?)",
+              [payout.user_id, payout.amount, payoutId],
+              err4 => done(err4)
+            );
+          });
+        }
+      );
+    });
+  }, err => {
+    if (err && !err.reason) {
+      console.error("❌ 退回提領申請失敗：", err);
+      return res.status(500).json({ message: "退回失敗" });
+    }
+    respondPayoutState(res, payoutId, 'rejected');
+  });
+});
+
+// 管理員：對帳，列出 users.balance 與 transactions 加總不一致的帳號
+app.get('/api/admin/wallet/reconcile', requireAdmin, (req, res) => {
+  db.query(
+    `SELECT u.id, u.username, u.balance, COALESCE(i.total, 0) - COALESCE(o.total, 0) AS ledger
+     FROM users u
+     LEFT JOIN (SELECT to_user_id AS user_id, SUM(amount) AS total FROM transactions WHERE to_user_id IS NOT NULL GROUP BY to_user_id) i ON i.user_id = u.id
+     LEFT JOIN (SELECT from_user_id AS user_id, SUM(amount) AS total FROM transactions WHERE from_user_id IS NOT NULL GROUP BY from_user_id) o ON o.user_id = u.id`,
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 對帳失敗：", err);
+        return res.status(500).json({ message: "對帳失敗" });
+      }
+      const mismatches = rows
+        .filter(r => Math.round(Number(r.balance) * 100) !== Math.round(Number(r.ledger) * 100))
+        .map(r => ({ userId: r.id, username: r.username, balance: Number(r.balance), ledger: Number(r.ledger), diff: Math.round((Number(r.balance) - Number(r.ledger)) * 100) / 100 }));
+      res.json({ checked: rows.length, mismatches });
+    }
+  );
+});
+
+// --------------------- 追蹤 / 通知 ---------------------
+// 每位登入使用者的 socket 都會加入 userRoom(id)，推送通知時不需知道對方在哪個頁面
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function notificationRowToJson(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    actor: row.actor_id ? { id: row.actor_id, username: row.actor_username, avatar: row.actor_avatar } : null,
+    roomId: row.room_id,
+    title: row.title,
+    read: !!row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+// 主播開播：為每位追蹤者寫入收件匣，並即時推送給在線上的追蹤者
+function notifyFollowersLive(broadcasterId, roomId, title) {
+  db.query(
+    `INSERT INTO notifications (user_id, type, actor_id, room_id, title)
+     SELECT follower_id, 'live', ?, ?, ? FROM follows WHERE followee_id=?`,
+    [broadcasterId, roomId, title || null, broadcasterId],
+    (err, result) => {
+      if (err) return console.error("❌ 寫入開播通知失敗：", err);
+      if (!result.affectedRows) return;
+      db.query(
+        `SELECT n.*, u.username AS actor_username, u.avatar AS actor_avatar
+         FROM notifications n JOIN users u ON u.id = n.actor_id
+         WHERE n.actor_id=? AND n.room_id=? AND n.type='live'`,
+        [broadcasterId, roomId],
+        (err2, rows) => {
+          if (err2) return console.error("❌ 讀取開播通知失敗：", err2);
+          rows.forEach(row => io.to(userRoom(row.user_id)).emit('notification', notificationRowToJson(row)));
+        }
+      );
+    }
+  );
+}
+
+// 追蹤中的主播（開播中的排在前面，room_id 為最新一場開播中的直播間）
+app.get('/api/follows', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  db.query(
+    `SELECT u.id, u.username, u.avatar, s.room_id, s.title, s.cover
+     FROM follows f
+     JOIN users u ON u.id = f.followee_id
+     LEFT JOIN streams s ON s.id = (SELECT MAX(id) FROM streams WHERE user_id = u.id AND status=TRUE)
+     WHERE f.follower_id=?
+     ORDER BY s.id IS NULL, f.created_at DESC`,
+    [req.session.user.id],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 讀取追蹤清單失敗：", err);
+        return res.status(500).json({ message: "讀取追蹤清單失敗" });
+      }
+      res.json(rows.map(r => ({
+        userId: r.id,
+        username: r.username,
+        avatar: r.avatar,
+        live: !!r.room_id,
+        roomId: r.room_id,
+        title: r.title,
+        cover: r.cover
+      })));
+    }
+  );
+});
+
+// 追蹤狀態：{ following, followers }
+app.get('/api/follows/:userId', (req, res) => {
+  const me = req.session.user ? req.session.user.id : null;
+  db.query(
+    "SELECT COUNT(*) AS followers, COALESCE(SUM(follower_id = ?), 0) AS mine FROM follows WHERE followee_id=?",
+    [me, req.params.userId],
+    (err, rows) => {
+      if (err) {
+        console.error("❌ 讀取追蹤狀態失敗：", err);
+        return res.status(500).json({ message: "讀取追蹤狀態失敗" });
+      }
+      res.json({ userId: Number(req.params.userId), following: Number(rows[0].mine) > 0, followers: Number(rows[0].followers) });
+    }
+  );
+});
+
+app.post('/api/follows/:userId', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const followeeId = Number(req.params.userId);
+  if (followeeId === req.session.user.id) return res.status(400).json({ message: "不能追蹤自己" });
+  // 重複追蹤不報錯；對象不存在時不會寫入任何資料
+  db.query(
+    "INSERT IGNORE INTO follows (follower_id, followee_id) SELECT ?, id FROM users WHERE id=?",
+    [req.session.user.id, followeeId],
+    err => {
+      if (err) {
+        console.error("❌ 追蹤失敗：", err);
+        return res.status(500).json({ message: "追蹤失敗" });
+      }
+      db.query("SELECT 1 FROM follows WHERE follower_id=? AND followee_id=?", [req.session.user.id, followeeId], (err2, rows) => {
+        if (err2 || !rows.length) return res.status(404).json({ message: "找不到使用者" });
+        res.json({ message: "已追蹤", following: true });
+      });
+    }
+  );
+});
+
+app.delete('/api/follows/:userId', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  db.query("DELETE FROM follows WHERE follower_id=? AND followee_id=?", [req.session.user.id, req.params.userId], err => {
+    if (err) {
+      console.error("❌ 取消追蹤失敗：", err);
+      return res.status(500).json({ message: "取消追蹤失敗" });
+    }
+    res.json({ message: "已取消追蹤", following: false });
+  });
+});
+
+// 通知收件匣（分頁：before = 上一頁最後一則的 id）
+app.get('/api/notifications', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const userId = req.session.user.id;
+  const limit = Math.min(Math.max(Number(req.query.limit) || NOTIFICATION_PAGE_DEFAULT, 1), NOTIFICATION_PAGE_MAX);
+  let sql = `SELECT n.*, u.username AS actor_username, u.avatar AS actor_avatar
+             FROM notifications n LEFT JOIN users u ON u.id = n.actor_id
+             WHERE n.user_id=?`;
+  const args = [userId];
+  if (req.query.before) {
+    sql += " AND n.id < ?";
+    args.push(Number(req.query.before));
+  }
+  // fetch one extra row to know whether older notifications remain
+  sql += " ORDER BY n.id DESC LIMIT ?";
+  args.push(limit + 1);
+  db.query(sql, args, (err, rows) => {
+    if (err) {
+      console.error("❌ 讀取通知失敗：", err);
+      return res.status(500).json({ message: "讀取通知失敗" });
+    }
+    db.query("SELECT COUNT(*) AS unread FROM notifications WHERE user_id=? AND read_at IS NULL", [userId], (err2, counts) => {
+      const hasMore = rows.length > limit;
+      const notifications = rows.slice(0, limit).map(notificationRowToJson);
+      res.json({
+        unread: !err2 && counts[0] ? Number(counts[0].unread) : 0,
+        notifications,
+        hasMore,
+        nextBefore: hasMore && notifications.length ? notifications[notifications.length - 1].id : null
+      });
+    });
+  });
+});
+
+// 標記已讀：{ ids }，未指定時全部標記已讀
+app.post('/api/notifications/read', (req, res) => {
+  if (!req.session.user) return res.status(401).json({ message: "未登入" });
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number).filter(Number.isFinite) : null;
+  let sql = "UPDATE notifications SET read_at=NOW() WHERE user_id=? AND read_at IS NULL";
+  const args = [req.session.user.id];
+  if (ids) {
+    if (!ids.length) return res.json({ updated: 0 });
+    sql += " AND id IN (?)";
+    args.push(ids);
+  }
+  db.query(sql, args, (err, result) => {
+    if (err) {
+      console.error("❌ 更新通知狀態失敗：", err);
+      return res.status(500).json({ message: "更新通知狀態失敗" });
+    }
+    res.json({ updated: result.affectedRows });
+  });
+});
+
+// --------------------- 公開個人頁 ---------------------
+// 主播公開資料：頭像、簡介、追蹤人數、目前開播的直播間、歷史直播（觀看人數高峰、時長）、PK 戰績
+app.get('/api/users/:username', (req, res) => {
+  const me = req.session.user ? req.session.user.id : null;
+  db.query(
+    `SELECT u.id, u.username, u.avatar, u.bio, u.created_at,
+            (SELECT COUNT(*) FROM follows WHERE followee_id = u.id) AS followers,
+            (SELECT COUNT(*) FROM follows WHERE follower_id = u.id) AS following_count,
+            EXISTS(SELECT 1 FROM follows WHERE follower_id = ? AND followee_id = u.id) AS followed
+     FROM users u WHERE u.username=?`,
+    [me, req.params.username],
+    (err, users) => {
+      if (err) {
+        console.error("❌ 讀取公開個人資料失敗：", err);
+        return res.status(500).json({ message: "讀取個人資料失敗" });
+      }
+      const user = users[0];
+      if (!user) return res.status(404).json({ message: "找不到使用者" });
+
+      db.query(
+        `SELECT s.room_id, s.title, s.cover, ${STREAM_TAGS_SQL}, s.status, s.peak_viewers, s.created_at,
+                TIMESTAMPDIFF(SECOND, s.created_at, s.last_active) AS duration_seconds
+         FROM streams s WHERE s.user_id=? ORDER BY s.id DESC LIMIT ?`,
+        [user.id, PROFILE_STREAMS_MAX],
+        (err2, streams) => {
+          if (err2) {
+            console.error("❌ 讀取歷史直播失敗：", err2);
+            return res.status(500).json({ message: "讀取個人資料失敗" });
+          }
+          // owner_id 為主播的 user id（字串）；winner_owner_id 為 NULL 代表平手
+          db.query(
+            `SELECT COUNT(*) AS matches,
+                    COALESCE(SUM(m.winner_owner_id = h.owner_id), 0) AS wins,
+                    COALESCE(SUM(m.winner_owner_id IS NULL), 0) AS draws
+             FROM pk_match_hosts h JOIN pk_matches m ON m.room_id = h.room_id
+             WHERE h.owner_id=?`,
+            [String(user.id)],
+            (err3, pkRows) => {
+              if (err3) console.error("❌ 讀取 PK 戰績失敗：", err3);
+              const pk = pkRows && pkRows[0] ? pkRows[0] : { matches: 0, wins: 0, draws: 0 };
+              const matches = Number(pk.matches);
+              const wins = Number(pk.wins);
+              const draws = Number(pk.draws);
+              const liveRow = streams.find(s => s.status);
+              res.json({
+                id: user.id,
+                username: user.username,
+                avatar: user.avatar,
+                bio: user.bio,
+                joinedAt: user.created_at,
+                followers: Number(user.followers),
+                following: Number(user.following_count),
+                followed: !!user.followed,
+                isMe: me !== null && String(me) === String(user.id),
+                live: liveRow ? {
+                  roomId: liveRow.room_id,
+                  title: liveRow.title,
+                  cover: liveRow.cover,
+                  viewers: roomViewers.get(liveRow.room_id) || 0
+                } : null,
+                streams: streams.filter(s => !s.status).map(s => ({
+                  roomId: s.room_id,
+                  title: s.title,
+                  cover: s.cover,
+                  hashtags: s.hashtags,
+                  peakViewers: s.peak_viewers || 0,
+                  durationSeconds: Math.max(0, Number(s.duration_seconds) || 0),
+                  startedAt: s.created_at
+                })),
+                pk: { matches, wins, losses: Math.max(0, matches - wins - draws), draws }
+              });
+            }
+          );
+        }
+      );
+    }
+  );
+});
+
+// --------------------- Socket.io：WebRTC + Chat ---------------------
+// make these maps global so all sockets share room counts and reaction stats
+const roomViewers = new Map();  // tracks viewer counts per room
+// highest viewer count written to streams.peak_viewers per room (only new peaks hit the DB)
+const roomPeakViewers = new Map();
+
+function recordPeakViewers(roomId, count) {
+  if (count <= (roomPeakViewers.get(roomId) || 0)) return;
+  roomPeakViewers.set(roomId, count);
+  db.query("UPDATE streams SET peak_viewers=GREATEST(peak_viewers, ?) WHERE room_id=?", [count, roomId], err => {
+    if (err) console.warn('❌ 更新觀看人數高峰失敗：', err.message || err);
+  });
+}
+// per-room reaction registry: Map<roomId, Map<socketId, emojiType>>
+const roomReactions = new Map();
+// per-room PK vote tally: Map<combinedRoomId, Map<ownerId, count>>
+const roomPkVotes = new Map();
+// each user's free PK vote: Map<combinedRoomId, Map<userId, ownerId>>
+const pkFreeVotes = new Map();
+// running PK rounds: combinedRoomId -> { hosts: [{ ownerId, room, leftAt }], duration, startedAt, endsAt, timer, leaveTimers }
+const pkMatches = new Map();
+// combined rooms whose result is being written and whose hosts are going back to their rooms (endPkMatch in progress)
+const pkEndingRooms = new Set();
+// PK invitations waiting for answers: fromRoom -> { fromRoom, duration, targets: Map<room, 'pending'|'accepted'|'rejected'>, timer }
+const pkLobbies = new Map();
+// rooms waiting for an automatic PK opponent: roomId -> { room, socketId, userId, duration, tags, queuedAt, skip, timer }
+const pkQueue = new Map();
+// track which sockets are broadcasters in a room (roomId -> Set<socketId>)
+const roomBroadcasters = new Map();
+// track which socket is the broadcaster (owner) for a given roomId
+const roomOwners = new Map(); // roomId -> socketId
+// whether a room accepts PK invites
+const roomPkEnabled = new Map(); // roomId -> boolean
+// server-side identity of every connected socket, taken from the shared HTTP session
+const socketToUser = new Map(); // socketId -> { socketId, userId, username, avatar }
+// chat timeouts set by room owners: Map<roomId, Map<userId, mutedUntilMs>>
+const roomMutes = new Map();
+// user ids allowed to host a PK combined room (the streams row only records one of them)
+const pkRoomHosts = new Map(); // combinedRoomId -> Set<userId as string>
+
+// 由 session 取出登入使用者；未登入回傳 null
+function sessionUser(socket) {
+  const sess = socket.request && socket.request.session;
+  return (sess && sess.user && sess.user.id) ? sess.user : null;
+}
+
+// 未登入的 socket 嘗試執行需要身分的事件時，回傳錯誤給該 client
+function rejectUnauthenticated(socket, event) {
+  console.warn('[server] unauthenticated socket rejected for', event, socket.id);
+  socket.emit('auth-required', { event });
+}
+
+// 目前禁言到期時間（ms）；未禁言或已過期回傳 null
+function getMutedUntil(roomId, userId) {
+  const mutes = roomMutes.get(roomId);
+  if (!mutes) return null;
+  const until = mutes.get(String(userId));
+  if (!until) return null;
+  if (until <= Date.now()) {
+    mutes.delete(String(userId));
+    if (mutes.size === 0) roomMutes.delete(roomId);
+    return null;
+  }
+  return until;
+}
+
+// 確認使用者是否為該房間的主播：PK 房間看 pkRoomHosts，一般房間看 streams.user_id
+function verifyRoomHost(userId, roomId, cb) {
+  if (!userId || !roomId) return cb(false);
+  const pkHosts = pkRoomHosts.get(roomId);
+  if (pkHosts && pkHosts.has(String(userId))) return cb(true);
+  db.query("SELECT user_id FROM streams WHERE room_id=?", [roomId], (err, results) => {
+    if (err) {
+      console.warn('[server] verifyRoomHost query failed', err.message || err);
+      return cb(false);
+    }
+    cb(results.length > 0 && results[0].user_id === userId);
+  });
+}
+
+// 載入 PK 房間的票數（記憶體沒有時從 pk_votes 重建，例如伺服器重啟後）
+function loadPkVotes(roomId, cb) {
+  if (roomPkVotes.has(roomId) && pkFreeVotes.has(roomId)) return cb(null);
+  db.query(
+    "SELECT user_id, owner_id, kind, votes FROM pk_votes WHERE room_id=? AND superseded_at IS NULL ORDER BY id",
+    [roomId],
+    (err, rows) => {
+      if (err) {
+        console.warn('[pk] failed to load votes for', roomId, err.message || err);
+        return cb(err);
+      }
+      // another load may have finished first
+      if (roomPkVotes.has(roomId) && pkFreeVotes.has(roomId)) return cb(null);
+      const tally = roomPkVotes.get(roomId) || new Map();
+      const freeVotes = new Map();
+      rows.forEach(row => {
+        tally.set(row.owner_id, (tally.get(row.owner_id) || 0) + row.votes);
+        if (row.kind === 'free') freeVotes.set(String(row.user_id), row.owner_id);
+      });
+      roomPkVotes.set(roomId, tally);
+      pkFreeVotes.set(roomId, freeVotes);
+      cb(null);
+    }
+  );
+}
+
+function pkVoteSnapshot(roomId) {
+  const counts = {};
+  let total = 0;
+  for (const [k, v] of (roomPkVotes.get(roomId) || new Map()).entries()) { counts[k] = v; total += v; }
+  return { counts, total };
+}
+
+// 開始 PK 倒數：每秒送出 pk-tick，時間到自動結算
+// match.hosts: [{ ownerId, userId, room }]，room 為主播 PK 前原本的直播間；
+// 查不到房主時 ownerId 以房號代替（只用於計票），userId 為 null，結束後不恢復該房間
+function startPkMatch(combined, match) {
+  match.startedAt = Date.now();
+  match.endsAt = match.startedAt + match.duration * 1000;
+  match.leaveTimers = new Map(); // userId -> grace timeout for a disconnected host
+  match.timer = setInterval(() => {
+    const remaining = Math.max(0, Math.ceil((match.endsAt - Date.now()) / 1000));
+    io.to(combined).emit('pk-tick', { roomId: combined, remaining, endsAt: match.endsAt, duration: match.duration });
+    if (remaining <= 0) endPkMatch(combined, 'timeout');
+  }, 1000);
+  pkMatches.set(combined, match);
+}
+
+// 恢復主播原本的直播間；原房間已不存在時替主播開一個新房間。cb(roomId | null)
+// ownerId 必須是 users.id，沒有房主時不恢復（避免以房號當 user_id 建立直播）
+function restoreHostRoom(ownerId, room, cb) {
+  if (!ownerId) return cb(null);
+  db.query("UPDATE streams SET status=TRUE, last_active=NOW() WHERE room_id=? AND user_id=?", [room, ownerId], (err, result) => {
+    if (err) {
+      console.warn('pk: failed to restore original stream', room, err.message || err);
+      return cb(room || null);
+    }
+    if (result.affectedRows > 0) return cb(room);
+    const newRoom = generateRoomCode();
+    db.query("SELECT username FROM users WHERE id=?", [ownerId], (err2, rows) => {
+      const title = !err2 && rows[0] ? `${rows[0].username} 的直播` : '直播';
+      db.query(
+        "INSERT INTO streams (user_id, room_id, title, status, last_active) VALUES (?,?,?,TRUE,NOW())",
+        [ownerId, newRoom, title],
+        err3 => {
+          if (err3) {
+            console.warn('pk: failed to create a new room for owner', ownerId, err3.message || err3);
+            return cb(null);
+          }
+          console.log('pk: original room missing, created', newRoom, 'for owner', ownerId);
+          cb(newRoom);
+        }
+      );
+    });
+  });
+}
+
+// 清除 PK 合併房間在記憶體中的所有狀態
+function cleanupPkRoom(combined) {
+  roomPkVotes.delete(combined);
+  pkFreeVotes.delete(combined);
+  roomReactions.delete(combined);
+  roomPkEnabled.delete(combined);
+  pkRoomHosts.delete(combined);
+  roomOwners.delete(combined);
+  roomBroadcasters.delete(combined);
+}
+
+// 結算 PK：依 roomPkVotes 判定勝方（票數最高者，同票為平手）、寫入 pk_matches，
+// 下架合併直播，並讓主播回到各自原本的直播間
+// reason: 'timeout' | 'ended-by-host' | 'host-left'；leaver = { userId, disconnected } 為最後離開而導致結束的主播
+function endPkMatch(combined, reason, leaver = null) {
+  const match = pkMatches.get(combined);
+  const closeCombinedStream = () => db.query("UPDATE streams SET status=FALSE, last_active=NOW() WHERE room_id=?", [combined], err => {
+    if (err) console.warn('pk: failed to mark combined stream ended', err);
+    try { io.emit('cover-updated', { roomId: combined, coverPath: null }); } catch (e) { console.warn('emit cover-updated failed', e); }
+  });
+  if (!match) {
+    // already ending (e.g. both hosts left at about the same time): the first call sends everyone back to their rooms
+    if (pkEndingRooms.has(combined)) return;
+    closeCombinedStream();
+    // no round state (e.g. after a server restart): nothing to score, just close the room
+    io.to(combined).emit('pk-end', { roomId: combined, reason, winner: null, counts: pkVoteSnapshot(combined).counts, owners: [], rooms: {}, redirectRoom: null });
+    return cleanupPkRoom(combined);
+  }
+  clearInterval(match.timer);
+  for (const t of match.leaveTimers.values()) clearTimeout(t);
+  pkMatches.delete(combined);
+  pkEndingRooms.add(combined);
+
+  const { counts } = pkVoteSnapshot(combined);
+  const active = match.hosts.filter(h => !h.leftAt);
+  const votesOf = h => counts[String(h.ownerId)] || 0;
+  const top = Math.max(0, ...active.map(votesOf));
+  const leaders = active.filter(h => votesOf(h) === top);
+  const winner = leaders.length === 1 ? String(leaders[0].ownerId) : null; // null = draw
+  console.log('[pk] match ended', combined, reason, 'winner:', winner, counts);
+
+  db.query(
+    "INSERT INTO pk_matches (room_id, host_count, winner_owner_id, duration, end_reason, started_at, ended_at) VALUES (?,?,?,?,?,?,NOW())",
+    [combined, match.hosts.length, winner, match.duration, reason, new Date(match.startedAt)],
+    err => { if (err) console.error("❌ PK 結果寫入失敗：", err); }
+  );
+  db.query(
+    "INSERT INTO pk_match_hosts (room_id, owner_id, origin_room, position, votes, left_early) VALUES ?",
+    [match.hosts.map((h, i) => [combined, String(h.ownerId), h.room, i, votesOf(h), !!h.leftAt])],
+    err => { if (err) console.error("❌ PK 主播結果寫入失敗：", err); }
+  );
+
+  // a host that dropped off keeps its room offline; everyone else goes back on air
+  const isLeaver = ownerId => !!leaver && String(ownerId) === String(leaver.userId);
+  const staying = active.filter(h => !(isLeaver(h.ownerId) && leaver.disconnected));
+  const survivor = leaver ? active.find(h => !isLeaver(h.ownerId)) : null;
+  const rooms = {}; // ownerId -> room to go back to
+  const finish = () => {
+    // closed here, after the hosts' rooms are back, so the combined room leaves the list last
+    closeCombinedStream();
+    const owners = match.hosts.map(h => String(h.ownerId));
+    io.to(combined).emit('pk-end', {
+      roomId: combined,
+      reason,
+      winner,
+      counts,
+      owners,
+      leftOwner: owners[0],
+      rightOwner: owners[1],
+      rooms,
+      // viewers follow the host that stayed when the other one left
+      redirectRoom: survivor ? rooms[String(survivor.ownerId)] || null : null
+    });
+    for (const sid of roomBroadcasters.get(combined) || []) {
+      const info = socketToUser.get(sid);
+      const returnRoom = info && info.userId ? rooms[String(info.userId)] : null;
+      if (returnRoom) io.to(sid).emit('pk-return', { roomId: combined, returnRoom, delayMs: isLeaver(info.userId) ? 0 : 5000 });
+    }
+    cleanupPkRoom(combined);
+    pkEndingRooms.delete(combined);
+  };
+  let pending = staying.length;
+  if (!pending) return finish();
+  staying.forEach(h => restoreHostRoom(h.userId, h.room, roomId => {
+    if (roomId) rooms[String(h.ownerId)] = roomId;
+    if (--pending === 0) finish();
+  }));
+}
+
+// 主播離開 PK：還有兩位以上主播時比賽繼續，只讓離開的主播回到原直播間；否則結束整場
+function pkHostLeft(combined, userId, disconnected) {
+  const match = pkMatches.get(combined);
+  if (!match) return endPkMatch(combined, 'host-left', { userId, disconnected });
+  const host = match.hosts.find(h => !h.leftAt && String(h.ownerId) === String(userId));
+  if (!host) return;
+  const remaining = match.hosts.filter(h => !h.leftAt && h !== host);
+  if (remaining.length < 2) return endPkMatch(combined, 'host-left', { userId, disconnected });
+
+  host.leftAt = Date.now();
+  const leaverSockets = Array.from(roomBroadcasters.get(combined) || []).filter(sid => {
+    const info = socketToUser.get(sid);
+    return info && String(info.userId) === String(userId);
+  });
+  leaverSockets.forEach(sid => roomBroadcasters.get(combined).delete(sid));
+  if (pkRoomHosts.has(combined)) pkRoomHosts.get(combined).delete(String(userId));
+  // partners and viewers drop this host's stream and vote option
+  io.to(combined).emit('pk-host-left', { roomId: combined, ownerId: String(userId), owners: remaining.map(h => String(h.ownerId)) });
+  console.log('[pk] host left, round continues', combined, userId, 'remaining', remaining.length);
+  if (disconnected) return;
+  restoreHostRoom(host.userId, host.room, returnRoom => {
+    if (returnRoom) leaverSockets.forEach(sid => io.to(sid).emit('pk-return', { roomId: combined, returnRoom, delayMs: 0 }));
+  });
+}
+
+// PK 主播斷線：保留一段時間讓主播重新連線（例如重新整理頁面），逾時才視為離開
+function schedulePkHostLeave(combined, userId) {
+  const match = pkMatches.get(combined);
+  if (!match || match.leaveTimers.has(String(userId))) return;
+  match.leaveTimers.set(String(userId), setTimeout(() => {
+    match.leaveTimers.delete(String(userId));
+    const stillHere = Array.from(roomBroadcasters.get(combined) || []).some(sid => {
+      const info = socketToUser.get(sid);
+      return info && String(info.userId) === String(userId);
+    });
+    if (!stillHere) pkHostLeft(combined, userId, true);
+  }, PK_HOST_GRACE_MS));
+}
+
+// 房主目前的 socket（找不到 owner 時退回該房間的任一 broadcaster）
+function findRoomHostSocket(roomId) {
+  if (roomOwners.get(roomId)) return roomOwners.get(roomId);
+  const set = roomBroadcasters.get(roomId);
+  return set && set.size ? Array.from(set)[0] : null;
+}
+
+// 邀請全部回覆（或逾時）後：至少一位接受就以發起方 + 接受的房間開始 PK
+function settlePkLobby(fromRoom) {
+  const lobby = pkLobbies.get(fromRoom);
+  if (!lobby) return;
+  clearTimeout(lobby.timer);
+  pkLobbies.delete(fromRoom);
+  const fromOwner = roomOwners.get(fromRoom);
+  const accepted = [];
+  for (const [room, status] of lobby.targets) {
+    if (status === 'accepted') accepted.push(room);
+    else if (status === 'pending') {
+      // unanswered invites count as declined
+      if (fromOwner) io.to(fromOwner).emit('pk-response', { fromRoom, targetRoom: room, accept: false, timedOut: true });
+      const targetSocket = findRoomHostSocket(room);
+      if (targetSocket) io.to(targetSocket).emit('pk-invite-cancelled', { fromRoom, timedOut: true });
+    }
+  }
+  if (!accepted.length) {
+    // a matchmade pairing fell through: keep looking for the inviter, skipping the room that declined
+    const paired = lobby.queueEntry;
+    if (paired && pkQueueEligible(paired.host)) {
+      paired.host.skip.add(paired.guest.room);
+      joinPkQueue(paired.host, 'requeued');
+    }
+    return;
+  }
+  console.log('[pk] lobby settled', fromRoom, 'accepted', accepted);
+  startCombinedPk([fromRoom, ...accepted], lobby.duration);
+}
+
+// 建立邀請並送出 pk-invite（手動邀請與自動配對共用）；invited: [{ room, targetSocket }]
+function openPkLobby(fromRoom, fromSocket, invited, duration, queueEntry) {
+  // a new invitation replaces any earlier one from the same room
+  const previous = pkLobbies.get(fromRoom);
+  if (previous) clearTimeout(previous.timer);
+  const lobby = { fromRoom, duration, targets: new Map(invited.map(t => [t.room, 'pending'])), queueEntry: queueEntry || null };
+  lobby.timer = setTimeout(() => settlePkLobby(fromRoom), PK_INVITE_TIMEOUT_MS);
+  pkLobbies.set(fromRoom, lobby);
+
+  // forward invite to each target broadcaster
+  const participants = [fromRoom, ...invited.map(t => t.room)];
+  invited.forEach(({ room, targetSocket }) => {
+    console.log('[pk] forwarding invite to socket', targetSocket, 'room', room, 'duration', duration);
+    io.to(targetSocket).emit('pk-invite', { fromRoom, fromSocket, duration, participants, matched: !!queueEntry });
+  });
+}
+
+// 房間正在 PK、發出邀請或被邀請中：不可再配對
+function roomBusyForPk(roomId) {
+  if (pkLobbies.has(roomId)) return true;
+  for (const lobby of pkLobbies.values()) if (lobby.targets.has(roomId)) return true;
+  for (const match of pkMatches.values()) if (match.hosts.some(h => !h.leftAt && h.room === roomId)) return true;
+  return false;
+}
+
+// 佇列中的房間仍由同一個 socket 開播、接受 PK 且沒有其他 PK 進行中
+function pkQueueEligible(entry) {
+  return roomOwners.get(entry.room) === entry.socketId && roomPkEnabled.get(entry.room) !== false && !roomBusyForPk(entry.room);
+}
+
+// 離開配對佇列；帶 status 時通知該房主
+function leavePkQueue(roomId, status) {
+  const entry = pkQueue.get(roomId);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  pkQueue.delete(roomId);
+  if (status) io.to(entry.socketId).emit('pk-queue-status', { roomId, status });
+}
+
+// 挑選最適合的對手：共同 hashtag 越多越好，其次觀看人數越接近越好，再其次等最久的
+function findPkOpponent(entry) {
+  let best = null;
+  const now = Date.now();
+  for (const other of Array.from(pkQueue.values())) {
+    if (other.room === entry.room || String(other.userId) === String(entry.userId)) continue;
+    if (entry.skip.has(other.room) || other.skip.has(entry.room)) continue;
+    if (!pkQueueEligible(other)) {
+      // host went offline, turned PK off or got an invite meanwhile
+      leavePkQueue(other.room, 'left');
+      continue;
+    }
+    const shared = Array.from(entry.tags).filter(t => other.tags.has(t));
+    const viewersA = roomViewers.get(entry.room) || 0;
+    const viewersB = roomViewers.get(other.room) || 0;
+    const viewerGap = Math.abs(viewersA - viewersB);
+    const similarSize = Math.min(viewersA, viewersB) * PK_QUEUE_VIEWER_RATIO >= Math.max(viewersA, viewersB);
+    const relaxed = now - Math.min(entry.queuedAt, other.queuedAt) >= PK_QUEUE_RELAX_MS;
+    if (!shared.length && !similarSize && !relaxed) continue;
+    if (!best || shared.length > best.shared.length ||
+        (shared.length === best.shared.length && (viewerGap < best.viewerGap ||
+          (viewerGap === best.viewerGap && other.queuedAt < best.entry.queuedAt)))) {
+      best = { entry: other, shared, viewerGap };
+    }
+  }
+  return best;
+}
+
+// 為佇列中的房間配對；成功時由等比較久的一方沿用 pk-invite / pk-response 流程發出邀請
+function pairPkQueueEntry(entry) {
+  const found = findPkOpponent(entry);
+  if (!found) return false;
+  const [host, guest] = found.entry.queuedAt <= entry.queuedAt ? [found.entry, entry] : [entry, found.entry];
+  leavePkQueue(host.room);
+  leavePkQueue(guest.room);
+  console.log('[pk] matchmaking paired', host.room, 'with', guest.room, 'shared tags', found.shared);
+  const nameOf = e => (socketToUser.get(e.socketId) || {}).username || e.room;
+  io.to(host.socketId).emit('pk-match-found', { roomId: host.room, opponentRoom: guest.room, opponentName: nameOf(guest), sharedTags: found.shared, role: 'inviter' });
+  io.to(guest.socketId).emit('pk-match-found', { roomId: guest.room, opponentRoom: host.room, opponentName: nameOf(host), sharedTags: found.shared, role: 'invitee' });
+  openPkLobby(host.room, host.socketId, [{ room: guest.room, targetSocket: guest.socketId }], host.duration, { host, guest });
+  return true;
+}
+
+// 加入配對佇列：有合適對手就立即配對，否則等待（逾時自動退出）
+function joinPkQueue(entry, status) {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => leavePkQueue(entry.room, 'timeout'), PK_QUEUE_TIMEOUT_MS);
+  pkQueue.set(entry.room, entry);
+  if (pairPkQueueEntry(entry)) return;
+  io.to(entry.socketId).emit('pk-queue-status', { roomId: entry.room, status: status || 'queued', waiting: pkQueue.size });
+}
+
+// 等待較久的房間放寬配對條件，定期重新嘗試
+setInterval(() => {
+  for (const entry of Array.from(pkQueue.values())) {
+    if (pkQueue.has(entry.room)) pairPkQueueEntry(entry);
+  }
+}, 5000);
+
+// 建立 PK 合併房間：rooms[0] 為發起方，其餘為接受邀請的房間（共 2-4 間）
+function startCombinedPk(rooms, pkDuration) {
+  // We need broadcaster user_ids to form the combined room; fall back to the room id when not found
+  db.query("SELECT room_id, user_id FROM streams WHERE room_id IN (?) ORDER BY created_at DESC", [rooms], (err, rows) => {
+    if (err) console.warn('pk: failed to query room owners', err);
+    const ownerOf = {};
+    (rows || []).forEach(r => { if (!(r.room_id in ownerOf)) ownerOf[r.room_id] = r.user_id; });
+    const hosts = rooms.map(room => ({ room, ownerId: ownerOf[room] || String(room), socketId: findRoomHostSocket(room) }));
+    rooms.forEach(room => leavePkQueue(room));
+    const owners = hosts.map(h => String(h.ownerId));
+
+    // generate PK room with format: PK_xxxxx (random 5-char code)
+    const combined = 'PK_' + generateRoomCode();
+    // leftOwner/rightOwner kept for two-host clients; owners lists every side in display order
+    const payload = { combinedRoom: combined, owners, leftOwner: owners[0], rightOwner: owners[1], duration: pkDuration };
+
+    // inform every broadcaster to start PK
+    let emittedStart = false;
+    hosts.forEach(h => {
+      if (!h.socketId) return console.warn('[pk] owner socket missing for room', h.room);
+      io.to(h.socketId).emit('pk-start', payload);
+      emittedStart = true;
+    });
+    // fallback: emit to rooms if owner sockets missing
+    if (!emittedStart) {
+      console.warn('[pk] pk-start fallback broadcast to rooms', rooms);
+      rooms.forEach(room => io.to(room).emit('pk-start', payload));
+    }
+    console.log('[pk] pk-start emitted', { combined, hosts });
+
+    // notify viewers in every room to redirect to pk viewer page
+    rooms.forEach(room => {
+      try { io.to(room).emit('pk-merged', payload); } catch (e) { console.warn('emit pk-merged failed for', room, e); }
+    });
+    console.log('[server] pk-merged emitted for', rooms, '->', combined);
+
+    // merge reaction maps
+    const newMap = new Map();
+    rooms.forEach(room => {
+      if (roomReactions.has(room)) for (const [k, v] of roomReactions.get(room).entries()) newMap.set(k, v);
+    });
+    if (newMap.size > 0) roomReactions.set(combined, newMap);
+
+    // record every host so each may register as broadcaster of the combined room
+    pkRoomHosts.set(combined, new Set(rooms.filter(room => ownerOf[room]).map(room => String(ownerOf[room]))));
+
+    // init pk vote counts for combined room using owner ids as keys
+    roomPkVotes.set(combined, new Map(owners.map(o => [o, 0])));
+    pkFreeVotes.set(combined, new Map());
+    startPkMatch(combined, { duration: pkDuration, hosts: hosts.map(h => ({ ownerId: h.ownerId, userId: ownerOf[h.room] || null, room: h.room })) });
+    try {
+      io.to(combined).emit('pk-votes-updated', pkVoteSnapshot(combined));
+    } catch (e) {
+      console.warn('pk: failed to emit initial vote snapshot', e);
+    }
+
+    // insert a combined stream row BEFORE marking old ones as ended
+    const realOwners = rooms.map(room => ownerOf[room]).filter(Boolean);
+    if (!realOwners.length) {
+      console.warn('❌ pk: no valid user_id found for combined stream; skipping DB insert (index will not show combined room)');
+      try { io.emit('cover-updated', { roomId: combined, coverPath: null }); } catch (e) { console.warn('emit cover-updated failed', e); }
+    } else {
+      // Query usernames for every owner to create a friendly title
+      db.query("SELECT id, username FROM users WHERE id IN (?)", [realOwners], (errUsers, userRows) => {
+        let title = 'PK直播對決';
+        if (!errUsers && userRows && userRows.length) {
+          const nameOf = {};
+          userRows.forEach(u => { nameOf[u.id] = u.username; });
+          title = '🔥 PK對決：' + rooms.map(room => nameOf[ownerOf[room]] || '神秘主播').join(' vs ');
+        } else {
+          console.warn('pk: failed to query usernames:', errUsers || 'no rows found');
+        }
+        db.query(
+          "INSERT INTO streams (user_id, room_id, title, description, status, last_active) VALUES (?,?,?,?,TRUE,NOW())",
+          [realOwners[0], combined, title, 'PK直播對決'],
+          (err3, inserted) => {
+            if (err3) console.error('❌ pk: failed to insert combined stream row:', err3.message || err3);
+            else {
+              console.log('✅ pk: inserted combined stream', combined, 'owner', realOwners[0], 'title', title);
+              attachStreamHashtags(inserted.insertId, ['pk']);
+            }
+            try { io.emit('cover-updated', { roomId: combined, coverPath: null }); } catch (e) { console.warn('emit cover-updated failed', e); }
+
+            // AFTER successful insert, mark original streams as ended
+            db.query("UPDATE streams SET status=FALSE, last_active=NOW() WHERE room_id IN (?)", [rooms], (err4) => {
+              if (err4) console.warn('pk: failed to mark old streams ended', err4);
+              else console.log('pk: marked original streams as ended', rooms);
+            });
+          }
+        );
+      });
+    }
+
+    // clear old owners & broadcaster sets
+    rooms.forEach(room => {
+      roomOwners.delete(room);
+      roomBroadcasters.delete(room);
+    });
+    roomPkEnabled.set(combined, false);
+  });
+}
+
+// --------------------- SFU 轉發（選用） ---------------------
+// 觀眾多時主播只上傳一條串流到 server，由 server 轉發給每位觀眾；觀眾少的房間與 PK 房間仍走 mesh。
+// 信令沿用 offer / answer / candidate，SFU 端以 "sfu:<roomId>" 當作對方的 socket id。
+const SFU_ENABLED = process.env.SFU_ENABLED === 'true' || process.env.SFU_ENABLED === '1';
+// 觀眾超過這個人數後，新加入的觀眾改由 SFU 轉發
+const SFU_MESH_MAX_VIEWERS = process.env.SFU_MESH_MAX_VIEWERS ? Number(process.env.SFU_MESH_MAX_VIEWERS) : 4;
+// 等待主播把串流上傳到 SFU 的時間（ms），逾時就退回 mesh
+const SFU_PUBLISH_TIMEOUT_MS = 10000;
+// SFU 上傳失敗的房間在這段時間內只用 mesh（ms）
+const SFU_RETRY_AFTER_MS = 60000;
+// 例：SFU_PORT_RANGE=40000-40100（防火牆需開放 UDP）；雲端主機可用 SFU_ANNOUNCED_IP 指定對外 IP
+const SFU_PORT_RANGE = /^\d+-\d+$/.test(process.env.SFU_PORT_RANGE || '') ? process.env.SFU_PORT_RANGE.split('-').map(Number) : undefined;
+const SFU_ANNOUNCED_IP = process.env.SFU_ANNOUNCED_IP || null;
+let werift = null;
+if (SFU_ENABLED) {
+  try {
+    werift = require('werift');
+  } catch (e) {
+    console.warn('[boot] SFU_ENABLED is set but werift is not installed; all rooms stay on mesh');
+  }
+}
+// roomId -> { ownerSocket, pc, tracks, stream, ready, waiting: [fallback], subscribers: Map<viewerSocketId, pc>, publishTimer, lastPli }
+const sfuRooms = new Map();
+// rooms whose SFU upload failed recently: roomId -> retry-after timestamp (ms)
+const sfuDisabledUntil = new Map();
+
+function sfuPeerId(roomId) {
+  return `sfu:${roomId}`;
+}
+
+function sfuConfig() {
+  return {
+    iceServers: STUN_URLS.map(urls => ({ urls })),
+    icePortRange: SFU_PORT_RANGE,
+    iceAdditionalHostAddresses: SFU_ANNOUNCED_IP ? [SFU_ANNOUNCED_IP] : undefined
+  };
+}
+
+// server 端不做 trickle：等 candidate 收集完再送出完整的 SDP
+function sfuLocalDescription(pc) {
+  return new Promise(resolve => {
+    if (pc.iceGatheringState === 'complete') return resolve(pc.localDescription.toSdp());
+    const sub = pc.iceGatheringStateChange.subscribe(state => {
+      if (state !== 'complete') return;
+      sub.unSubscribe();
+      resolve(pc.localDescription.toSdp());
+    });
+  });
+}
+
+// 新觀眾是否改走 SFU：一般房間、觀眾超過門檻，或該房間已經在用 SFU
+function sfuShouldRelay(roomId) {
+  if (!werift || roomId.startsWith('PK_') || !roomOwners.has(roomId)) return false;
+  if ((sfuDisabledUntil.get(roomId) || 0) > Date.now()) return false;
+  if (sfuRooms.has(roomId)) return true;
+  const room = io.sockets.adapter.rooms.get(roomId);
+  const viewers = room ? room.size - 1 : 0;
+  return viewers > SFU_MESH_MAX_VIEWERS;
+}
+
+// 請主播的畫面送出關鍵影格（新觀眾加入或觀眾端掉封包時），每秒最多一次
+function sfuRequestKeyframe(room) {
+  if (!room.pc || Date.now() - (room.lastPli || 0) < 1000) return;
+  const track = room.tracks.find(t => t.kind === 'video');
+  const transceiver = room.pc.getTransceivers().find(t => t.kind === 'video');
+  if (!track || !track.ssrc || !transceiver) return;
+  room.lastPli = Date.now();
+  transceiver.receiver.sendRtcpPLI(track.ssrc).catch(() => {});
+}
+
+// 觀眾要看 SFU 轉發：主播尚未上傳時先請主播上傳，等待期間 fallback 保留（失敗時改走 mesh）
+function sfuSubscribe(roomId, viewerId, fallback) {
+  let room = sfuRooms.get(roomId);
+  if (!room) {
+    room = { ownerSocket: roomOwners.get(roomId), pc: null, tracks: [], stream: null, ready: false, waiting: [], subscribers: new Map(), publishTimer: null, lastPli: 0 };
+    sfuRooms.set(roomId, room);
+    room.publishTimer = setTimeout(() => {
+      if (!room.ready) sfuCloseRoom(roomId, 'publish-timeout');
+    }, SFU_PUBLISH_TIMEOUT_MS);
+    io.to(room.ownerSocket).emit('sfu-publish', { roomId, peerId: sfuPeerId(roomId) });
+    console.log('[sfu] asking owner of', roomId, 'to publish');
+  }
+  if (!room.ready) {
+    room.waiting.push({ viewerId, fallback });
+    return;
+  }
+  sfuAddSubscriber(roomId, room, viewerId).catch(err => {
+    console.warn('[sfu] subscriber setup failed', roomId, viewerId, err.message || err);
+    sfuRemoveSubscriber(roomId, viewerId);
+    fallback();
+  });
+}
+
+// 主播上傳（offer 來自房主、對象為 sfu:<roomId>）
+async function sfuHandlePublish(socket, roomId, description) {
+  const room = sfuRooms.get(roomId);
+  if (!room || room.ownerSocket !== socket.id) return;
+  if (room.pc) { try { room.pc.close(); } catch (e) {} }
+  const pc = new werift.RTCPeerConnection(sfuConfig());
+  room.pc = pc;
+  room.tracks = [];
+  room.stream = new werift.MediaStream({ id: `live-${roomId}` });
+  pc.onTrack.subscribe(track => {
+    room.tracks.push(track);
+    console.log('[sfu] publisher track', roomId, track.kind);
+  });
+  pc.connectionStateChange.subscribe(state => {
+    if (room.pc !== pc) return;
+    if (state === 'connected' && !room.ready) {
+      room.ready = true;
+      clearTimeout(room.publishTimer);
+      console.log('[sfu] publisher connected', roomId, 'tracks', room.tracks.length, 'waiting viewers', room.waiting.length);
+      const waiting = room.waiting;
+      room.waiting = [];
+      waiting.forEach(({ viewerId, fallback }) => sfuSubscribe(roomId, viewerId, fallback));
+    }
+    if (state === 'failed' || state === 'closed') sfuCloseRoom(roomId, `publisher-${state}`);
+  });
+  await pc.setRemoteDescription(description);
+  await pc.setLocalDescription(await pc.createAnswer());
+  socket.emit('answer', sfuPeerId(roomId), await sfuLocalDescription(pc));
+}
+
+// 為觀眾建立轉發連線：把主播的每條 track 直接掛到觀眾的 sender 上
+async function sfuAddSubscriber(roomId, room, viewerId) {
+  sfuRemoveSubscriber(roomId, viewerId);
+  const pc = new werift.RTCPeerConnection(sfuConfig());
+  room.subscribers.set(viewerId, pc);
+  room.tracks.forEach(track => {
+    const transceiver = pc.addTransceiver(track, { direction: 'sendonly', streams: [room.stream] });
+    if (track.kind === 'video') transceiver.sender.onPictureLossIndication.subscribe(() => sfuRequestKeyframe(room));
+  });
+  pc.connectionStateChange.subscribe(state => {
+    if (state === 'connected') sfuRequestKeyframe(room);
+    if (state === 'failed' && room.subscribers.get(viewerId) === pc) sfuRemoveSubscriber(roomId, viewerId);
+  });
+  await pc.setLocalDescription(await pc.createOffer());
+  io.to(viewerId).emit('offer', sfuPeerId(roomId), await sfuLocalDescription(pc));
+  console.log('[sfu] offered relay of', roomId, 'to viewer', viewerId, 'subscribers', room.subscribers.size);
+}
+
+function sfuRemoveSubscriber(roomId, viewerId) {
+  const room = sfuRooms.get(roomId);
+  if (!room || !room.subscribers.has(viewerId)) return;
+  try { room.subscribers.get(viewerId).close(); } catch (e) {}
+  room.subscribers.delete(viewerId);
+}
+
+// 關閉整個房間的 SFU：等待中的觀眾改走 mesh，已轉發的觀眾收到 bye 後重新要求連線
+function sfuCloseRoom(roomId, reason) {
+  const room = sfuRooms.get(roomId);
+  if (!room) return;
+  sfuRooms.delete(roomId);
+  clearTimeout(room.publishTimer);
+  console.log('[sfu] closing relay for', roomId, 'reason', reason);
+  if (reason !== 'owner-left') sfuDisabledUntil.set(roomId, Date.now() + SFU_RETRY_AFTER_MS);
+  if (room.pc) { try { room.pc.close(); } catch (e) {} }
+  for (const [viewerId, pc] of room.subscribers) {
+    try { pc.close(); } catch (e) {}
+    io.to(viewerId).emit('bye', sfuPeerId(roomId));
+  }
+  room.waiting.forEach(({ fallback }) => fallback());
+  if (room.ownerSocket) io.to(room.ownerSocket).emit('bye', sfuPeerId(roomId));
+}
+
+// answer / candidate 的對象是 SFU 時由 server 處理，回傳 true 表示已處理
+function sfuHandleSignal(socket, event, id, message) {
+  if (typeof id !== 'string' || !id.startsWith('sfu:')) return false;
+  const roomId = id.slice(4);
+  const room = sfuRooms.get(roomId);
+  if (!room) return true;
+  const isOwner = room.ownerSocket === socket.id;
+  const pc = isOwner ? room.pc : room.subscribers.get(socket.id);
+  const done = err => { if (err) console.warn('[sfu]', event, 'failed for', roomId, socket.id, err.message || err); };
+  if (event === 'offer' && isOwner) sfuHandlePublish(socket, roomId, message).catch(err => { done(err); sfuCloseRoom(roomId, 'publish-error'); });
+  else if (event === 'answer' && pc && !isOwner) pc.setRemoteDescription(message).then(() => done(), done);
+  else if (event === 'candidate' && pc && message && message.candidate) pc.addIceCandidate(message).then(() => done(), done);
+  return true;
+}
+
+// --------------------- HLS 備援輸出 ---------------------
+// 嚴格 NAT 後方連不上 WebRTC 的觀眾改看 HLS：有觀眾需要時才請主播用 MediaRecorder 上傳片段，
+// server 交給 ffmpeg 切成 uploads/hls/<roomId>/index.m3u8（延遲多幾秒，但一定看得到畫面）
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const HLS_SEGMENT_SECONDS = 2;
+const HLS_LIST_SIZE = 6;
+// 最後一位 HLS 觀眾離開後多久停止轉檔（ms）
+const HLS_IDLE_STOP_MS = 30000;
+// 開始轉檔後等待第一個 segment 的時間（ms）
+const HLS_READY_TIMEOUT_MS = 30000;
+// roomId -> { ownerSocket, ffmpeg, viewers: Set<socketId>, ready, readyTimer, stopTimer }
+const hlsSessions = new Map();
+
+function hlsDir(roomId) {
+  return path.join(__dirname, 'uploads', 'hls', roomId);
+}
+
+function hlsUrl(roomId) {
+  return `/uploads/hls/${encodeURIComponent(roomId)}/index.m3u8`;
+}
+
+// hls.js 由 node_modules 提供，觀眾端切換到 HLS 時才載入
+app.get('/vendor/hls.min.js', (req, res) => {
+  res.sendFile(require.resolve('hls.js/dist/hls.min.js'));
+});
+
+// 觀眾要求 HLS：第一位觀眾時請房主開始上傳
+function hlsAddViewer(roomId, viewerId) {
+  const ownerSocket = roomOwners.get(roomId);
+  if (!ownerSocket || !/^[A-Za-z0-9_]+$/.test(roomId)) {
+    io.to(viewerId).emit('hls-error', { roomId, reason: 'no-broadcaster' });
+    return;
+  }
+  let sess = hlsSessions.get(roomId);
+  if (!sess) {
+    sess = { ownerSocket, ffmpeg: null, viewers: new Set(), ready: false, readyTimer: null, stopTimer: null };
+    hlsSessions.set(roomId, sess);
+    io.to(ownerSocket).emit('hls-start', { roomId });
+    console.log('[hls] asking owner of', roomId, 'to upload media chunks');
+  }
+  clearTimeout(sess.stopTimer);
+  sess.stopTimer = null;
+  sess.viewers.add(viewerId);
+  if (sess.ready) io.to(viewerId).emit('hls-ready', { roomId, url: hlsUrl(roomId) });
+}
+
+function hlsRemoveViewer(roomId, viewerId) {
+  const sess = hlsSessions.get(roomId);
+  if (!sess || !sess.viewers.delete(viewerId) || sess.viewers.size) return;
+  sess.stopTimer = setTimeout(() => hlsStop(roomId), HLS_IDLE_STOP_MS);
+}
+
+function hlsSpawn(roomId, sess) {
+  const dir = hlsDir(roomId);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const playlist = path.join(dir, 'index.m3u8');
+  const ff = spawn(FFMPEG_PATH, [
+    '-loglevel', 'error',
+    '-fflags', '+genpts',
+    '-i', 'pipe:0',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-pix_fmt', 'yuv420p',
+    '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    '-c:a', 'aac', '-b:a', '128k',
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SECONDS),
+    '-hls_list_size', String(HLS_LIST_SIZE),
+    '-hls_flags', 'delete_segments+omit_endlist',
+    '-hls_segment_filename', path.join(dir, 'seg_%05d.ts'),
+    playlist
+  ], { stdio: ['pipe', 'ignore', 'pipe'] });
+  sess.ffmpeg = ff;
+  // EPIPE when ffmpeg exits while a chunk is still being written
+  ff.stdin.on('error', () => {});
+  ff.stderr.on('data', d => console.warn('[hls] ffmpeg', roomId, String(d).trim()));
+  ff.on('error', err => {
+    console.error("❌ 無法啟動 ffmpeg：", err.message || err);
+    hlsStop(roomId, 'ffmpeg-missing');
+  });
+  ff.on('exit', code => {
+    if (sess.ffmpeg === ff) hlsStop(roomId, code ? 'ffmpeg-exit' : null);
+  });
+
+  // 第一個 segment 寫出後才通知觀眾
+  const startedAt = Date.now();
+  sess.readyTimer = setInterval(() => {
+    if (fs.existsSync(playlist)) {
+      clearInterval(sess.readyTimer);
+      sess.ready = true;
+      console.log('[hls] playlist ready for', roomId, 'viewers', sess.viewers.size);
+      sess.viewers.forEach(viewerId => io.to(viewerId).emit('hls-ready', { roomId, url: hlsUrl(roomId) }));
+    } else if (Date.now() - startedAt > HLS_READY_TIMEOUT_MS) {
+      hlsStop(roomId, 'timeout');
+    }
+  }, 1000);
+}
+
+// 房主上傳的 MediaRecorder 片段（webm），依序寫進 ffmpeg
+function hlsIngest(socket, roomId, data) {
+  const sess = hlsSessions.get(roomId);
+  if (!sess || sess.ownerSocket !== socket.id || !Buffer.isBuffer(data)) return;
+  if (!sess.ffmpeg) hlsSpawn(roomId, sess);
+  if (sess.ffmpeg.stdin.writable) sess.ffmpeg.stdin.write(data);
+}
+
+// 停止轉檔並清掉檔案；帶 reason 時通知仍在等待的觀眾
+function hlsStop(roomId, reason) {
+  const sess = hlsSessions.get(roomId);
+  if (!sess) return;
+  hlsSessions.delete(roomId);
+  clearInterval(sess.readyTimer);
+  clearTimeout(sess.stopTimer);
+  if (sess.ffmpeg) {
+    sess.ffmpeg.stdin.end();
+    sess.ffmpeg.kill('SIGTERM');
+  }
+  io.to(sess.ownerSocket).emit('hls-stop', { roomId });
+  if (reason) sess.viewers.forEach(viewerId => io.to(viewerId).emit('hls-error', { roomId, reason }));
+  console.log('[hls] stopped', roomId, 'reason', reason || 'idle');
+  fs.rm(hlsDir(roomId), { recursive: true, force: true }, () => {});
+}
+
+// --------------------- 直播錄影 / 回放 ---------------------
+// 主播端整場直播用 MediaRecorder 上傳（處理後的畫面 + 麥克風），server 依序寫成 part 檔；
+// 直播結束後以 ffmpeg 接起來並補上索引（可拖曳進度），記錄到 recordings 表
+const RECORDING_MAX_BYTES = (process.env.RECORDING_MAX_MB ? Number(process.env.RECORDING_MAX_MB) : 2048) * 1024 * 1024;
+// 主播超過這段時間沒有上傳（當機、關分頁）就直接結束錄影（ms）
+const RECORDING_IDLE_FINALIZE_MS = 90000;
+// 回放頁一次載入的聊天紀錄上限
+const RECORDING_CHAT_MAX = 5000;
+// roomId -> { id, roomId, userId, dir, urlBase, ext, parts: [{ file, out, bytes, firstChunkAt, lastChunkAt, closed }], bytes, lastChunkAt, full }
+const recordingSessions = new Map();
+
+function recordingOpenPart(rec) {
+  const file = path.join(rec.dir, `part_${rec.parts.length}.${rec.ext}`);
+  const out = fs.createWriteStream(file);
+  out.on('error', err => console.error("❌ 寫入錄影檔失敗：", err));
+  const part = { file, out, bytes: 0, firstChunkAt: 0, lastChunkAt: 0, closed: new Promise(resolve => out.on('close', resolve)) };
+  rec.parts.push(part);
+  return part;
+}
+
+// 主播開始（或重新整理後重新開始）錄影；同一場直播再次開始時接成新的 part
+function recordingStart(socket, roomId, mimeType, cb) {
+  const info = socketToUser.get(socket.id);
+  if (!info || !info.userId || !/^[A-Za-z0-9_]+$/.test(roomId)) return cb({ ok: false, reason: 'not-owner' });
+  const existing = recordingSessions.get(roomId);
+  if (existing) {
+    if (existing.userId !== info.userId) return cb({ ok: false, reason: 'not-owner' });
+    existing.parts[existing.parts.length - 1].out.end();
+    recordingOpenPart(existing);
+    existing.lastChunkAt = Date.now();
+    return cb({ ok: true, recordingId: existing.id });
+  }
+  db.query("SELECT user_id, title FROM streams WHERE room_id=?", [roomId], (err, rows) => {
+    if (err) {
+      console.error("❌ 查詢直播資訊失敗：", err);
+      return cb({ ok: false, reason: 'db' });
+    }
+    if (!rows[0] || rows[0].user_id !== info.userId) return cb({ ok: false, reason: 'not-owner' });
+    // a second record-start may have won the race while the query was running
+    if (recordingSessions.has(roomId)) return recordingStart(socket, roomId, mimeType, cb);
+    const ext = /^video\/mp4/.test(mimeType || '') ? 'mp4' : 'webm';
+    db.query(
+      "INSERT INTO recordings (room_id, user_id, title, mime_type, status, started_at) VALUES (?,?,?,?,'recording',NOW(3))",
+      [roomId, info.userId, rows[0].title, `video/${ext}`],
+      (insErr, result) => {
+        if (insErr) {
+          console.error("❌ 建立錄影紀錄失敗：", insErr);
+          return cb({ ok: false, reason: 'db' });
+        }
+        const stamp = Date.now();
+        const rec = {
+          id: result.insertId,
+          roomId,
+          userId: info.userId,
+          dir: path.join(__dirname, 'uploads', 'recordings', roomId, String(stamp)),
+          urlBase: `/uploads/recordings/${roomId}/${stamp}`,
+          ext,
+          parts: [],
+          bytes: 0,
+          lastChunkAt: stamp,
+          full: false
+        };
+        fs.mkdirSync(rec.dir, { recursive: true });
+        recordingOpenPart(rec);
+        recordingSessions.set(roomId, rec);
+        console.log('[rec] recording', rec.id, 'started for room', roomId);
+        cb({ ok: true, recordingId: rec.id });
+      }
+    );
+  });
+}
+
+// 以 userId 比對而非 socket id：主播斷線重連後 socket.io 補送的片段仍要收
+function recordingIngest(socket, roomId, data) {
+  const rec = recordingSessions.get(roomId);
+  const info = socketToUser.get(socket.id);
+  if (!rec || !info || info.userId !== rec.userId || !Buffer.isBuffer(data)) return;
+  if (rec.bytes + data.length > RECORDING_MAX_BYTES) {
+    if (!rec.full) console.warn('[rec] recording', rec.id, 'reached size limit, dropping further chunks');
+    rec.full = true;
+    return;
+  }
+  const part = rec.parts[rec.parts.length - 1];
+  const now = Date.now();
+  if (!part.firstChunkAt) part.firstChunkAt = now;
+  part.lastChunkAt = now;
+  part.bytes += data.length;
+  rec.bytes += data.length;
+  rec.lastChunkAt = now;
+  part.out.write(data);
+}
+
+// 每個 part 在直播時間軸上的起訖（ms）；timeslice 為 1 秒，第一段資料約在開始錄影 1 秒後送達
+function recordingSegments(parts) {
+  return parts.map(p => [p.firstChunkAt - 1000, p.lastChunkAt]);
+}
+
+// 直播當下的時間 → 回放檔中的位置（ms）；落在兩段之間（斷線期間）的訊息對到下一段開頭
+function recordingOffset(segments, ts) {
+  let offset = 0;
+  for (const [start, end] of segments) {
+    if (ts <= end) return offset + Math.max(0, ts - start);
+    offset += end - start;
+  }
+  return offset;
+}
+
+// 結束錄影：保留封面、接起所有 part，成功後更新 recordings（可重複呼叫）
+function recordingFinalize(roomId) {
+  const rec = recordingSessions.get(roomId);
+  if (!rec) return;
+  recordingSessions.delete(roomId);
+  rec.parts[rec.parts.length - 1].out.end();
+
+  // /api/end-stream 會刪掉 preview 資料夾，先把封面複製一份給回放用
+  let cover = null;
+  const previewDir = path.join(__dirname, 'uploads', 'preview', roomId);
+  try {
+    const name = fs.readdirSync(previewDir).find(f => f.startsWith('cover'));
+    if (name) {
+      fs.copyFileSync(path.join(previewDir, name), path.join(rec.dir, name));
+      cover = `${rec.urlBase}/${name}`;
+    }
+  } catch (e) { /* no cover uploaded */ }
+
+  const fail = reason => {
+    console.warn('[rec] recording', rec.id, 'failed:', reason);
+    db.query("UPDATE recordings SET status='failed', ended_at=NOW(3) WHERE id=?", [rec.id]);
+    fs.rm(rec.dir, { recursive: true, force: true }, () => {});
+  };
+  const done = (file, parts) => {
+    const segments = recordingSegments(parts);
+    const duration = Math.round(segments.reduce((sum, [start, end]) => sum + end - start, 0) / 1000);
+    const size = fs.statSync(file).size;
+    rec.parts.forEach(p => { if (p.file !== file) fs.rm(p.file, { force: true }, () => {}); });
+    fs.rm(path.join(rec.dir, 'parts.txt'), { force: true }, () => {});
+    db.query(
+      "UPDATE recordings SET status='ready', file_path=?, cover=?, duration_seconds=?, size_bytes=?, segments=?, ended_at=NOW(3) WHERE id=?",
+      [`${rec.urlBase}/${path.basename(file)}`, cover, duration, size, JSON.stringify(segments), rec.id],
+      err => {
+        if (err) return console.error("❌ 更新錄影紀錄失敗：", err);
+        console.log('[rec] recording', rec.id, 'ready', duration + 's', size, 'bytes');
+      }
+    );
+  };
+
+  db.query("UPDATE recordings SET status='processing' WHERE id=?", [rec.id]);
+  Promise.all(rec.parts.map(p => p.closed)).then(() => {
+    const parts = rec.parts.filter(p => p.bytes > 0);
+    if (!parts.length) return fail('no data');
+    // MediaRecorder 的 webm 沒有時長與索引，交給 ffmpeg 重新封裝（不重新編碼）才能拖曳進度
+    const listFile = path.join(rec.dir, 'parts.txt');
+    const output = path.join(rec.dir, `replay.${rec.ext}`);
+    fs.writeFileSync(listFile, parts.map(p => `file '${p.file}'`).join('\n'));
+    const ff = spawn(FFMPEG_PATH, [
+      '-loglevel', 'error', '-y',
+      '-f', 'concat', '-safe', '0', '-i', listFile,
+      '-c', 'copy',
+      ...(rec.ext === 'mp4' ? ['-movflags', '+faststart'] : []),
+      output
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+    ff.stderr.on('data', d => console.warn('[rec] ffmpeg', rec.id, String(d).trim()));
+    let handled = false;
+    const fallback = reason => {
+      if (handled) return;
+      handled = true;
+      // 沒有 ffmpeg 時保留最大的一段原始檔：可以播放，但瀏覽器可能無法拖曳進度
+      console.warn('[rec] remux failed for', rec.id, reason, '- keeping the raw recording');
+      fs.rm(output, { force: true }, () => {});
+      const largest = parts.reduce((a, b) => (b.bytes > a.bytes ? b : a));
+      done(largest.file, [largest]);
+    };
+    ff.on('error', err => fallback(err.code || err.message));
+    ff.on('exit', code => {
+      if (code) return fallback('ffmpeg exit ' + code);
+      if (handled) return;
+      handled = true;
+      done(output, parts);
+    });
+  });
+}
+
+// 主播當機或關掉分頁時不會呼叫 record-stop / end-stream，沒有新片段一段時間後自動收尾
+setInterval(() => {
+  const now = Date.now();
+  for (const [roomId, rec] of Array.from(recordingSessions)) {
+    if (now - rec.lastChunkAt > RECORDING_IDLE_FINALIZE_MS) recordingFinalize(roomId);
+  }
+}, 15000);
+
+// 回放列表：user = 主播帳號（選填）
+app.get('/api/recordings', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+  let sql = `SELECT r.id, r.room_id, r.title, r.cover, r.duration_seconds, r.started_at, u.username, u.avatar
+             FROM recordings r JOIN users u ON u.id = r.user_id WHERE r.status='ready'`;
+  const args = [];
+  if (req.query.user) {
+    sql += " AND u.username=?";
+    args.push(req.query.user);
+  }
+  sql += " ORDER BY r.id DESC LIMIT ?";
+  args.push(limit);
+  db.query(sql, args, (err, rows) => {
+    if (err) {
+      console.error("❌ 讀取回放列表失敗：", err);
+      return res.status(500).json({ message: "讀取回放列表失敗" });
+    }
+    res.json(rows);
+  });
+});
+
+function loadRecording(id, cb) {
+  db.query(
+    `SELECT r.*, u.username, u.avatar FROM recordings r JOIN users u ON u.id = r.user_id WHERE r.id=? AND r.status='ready'`,
+    [id],
+    (err, rows) => cb(err, rows && rows[0])
+  );
+}
+
+app.get('/api/recordings/:id', (req, res) => {
+  loadRecording(req.params.id, (err, rec) => {
+    if (err) {
+      console.error("❌ 讀取回放失敗：", err);
+      return res.status(500).json({ message: "讀取回放失敗" });
+    }
+    if (!rec) return res.status(404).json({ message: "找不到回放" });
+    res.json({
+      id: rec.id,
+      roomId: rec.room_id,
+      title: rec.title,
+      username: rec.username,
+      avatar: rec.avatar,
+      cover: rec.cover,
+      url: rec.file_path,
+      mimeType: rec.mime_type,
+      duration: rec.duration_seconds,
+      startedAt: rec.started_at,
+      endedAt: rec.ended_at
+    });
+  });
+});
+
+// 回放的聊天時間軸：offset 為訊息在回放檔中的位置（ms）
+// 刻意公開（與回放影片相同，不需登入）：直播時任何人進房都看得到這些訊息，回放只重現同一段時間、
+// 不含已刪除的訊息。整個房間的完整聊天紀錄則只開放給主播與管理員（/api/streams/:roomId/chat）
+app.get('/api/recordings/:id/chat', (req, res) => {
+  loadRecording(req.params.id, (err, rec) => {
+    if (err) {
+      console.error("❌ 讀取回放失敗：", err);
+      return res.status(500).json({ message: "讀取回放失敗" });
+    }
+    if (!rec) return res.status(404).json({ message: "找不到回放" });
+    let segments = [];
+    try { segments = JSON.parse(rec.segments || '[]'); } catch (e) { /* older row */ }
+    db.query(
+      "SELECT * FROM chat_messages WHERE room_id=? AND deleted_at IS NULL AND created_at BETWEEN ? AND ? ORDER BY id LIMIT ?",
+      [rec.room_id, rec.started_at, rec.ended_at, RECORDING_CHAT_MAX],
+      (chatErr, rows) => {
+        if (chatErr) {
+          console.error("❌ 讀取聊天紀錄失敗：", chatErr);
+          return res.status(500).json({ message: "讀取聊天紀錄失敗" });
+        }
+        const messages = rows.map(row => {
+          const msg = chatRowToMessage(row);
+          msg.offset = segments.length ? recordingOffset(segments, msg.ts) : Math.max(0, msg.ts - new Date(rec.started_at).getTime());
+          return msg;
+        });
+        res.json({ recordingId: rec.id, messages });
+      }
+    );
+  });
+});
+
+io.on("connection", socket => {
+  // socket connected
+  const user = sessionUser(socket);
+  socketToUser.set(socket.id, {
+    socketId: socket.id,
+    userId: user ? user.id : null,
+    username: user ? user.username : '未知使用者',
+    avatar: user ? user.avatar : null
+  });
+  // 登入使用者加入個人房間，用來推送追蹤通知
+  if (user) socket.join(userRoom(user.id));
+  // rooms this socket has been verified to host (avoids a DB query on every re-registration)
+  socket.data.hostRooms = new Set();
+  console.log('[server] socket connected', socket.id, 'user:', user ? user.username : '(guest)');
+
+  // 驗證通過後將此 socket 登記為房主
+  function registerOwner(roomId) {
+    // a PK host coming back within the grace period keeps the round alive
+    const match = pkMatches.get(roomId);
+    const me = socketToUser.get(socket.id);
+    if (match && me && match.leaveTimers.has(String(me.userId))) {
+      clearTimeout(match.leaveTimers.get(String(me.userId)));
+      match.leaveTimers.delete(String(me.userId));
+    }
+    roomOwners.set(roomId, socket.id);
+    if (!roomPkEnabled.has(roomId)) roomPkEnabled.set(roomId, true); // default allow PK
+    socket.join(roomId);
+    if (!roomBroadcasters.has(roomId)) roomBroadcasters.set(roomId, new Set());
+    roomBroadcasters.get(roomId).add(socket.id);
+  }
+
+  // WebRTC 事件：房間隔離版本
+  socket.on("broadcaster", (roomId) => {
+    if (!roomId) return;
+    console.log('[server] broadcaster announces in room', roomId, socket.id);
+    // only verified hosts may announce themselves as the room's broadcaster
+    if (!socket.data.hostRooms.has(roomId)) {
+      console.warn('[server] broadcaster announce ignored: socket is not a verified host of', roomId, socket.id);
+      return;
+    }
+    // 在房間內廣播 broadcaster 事件
+    socket.to(roomId).emit("broadcaster", { roomId, broadcasterId: socket.id });
+
+    // re-register if the owner entry was lost (e.g. after a reconnect)
+    if (!roomOwners.has(roomId)) {
+      registerOwner(roomId);
+      console.log('[server] broadcaster announce re-registered owner for room', roomId, 'socket', socket.id, 'owners size', roomOwners.size);
+    }
+  });
+  
+  // broadcaster declares itself as owner of a room
+  socket.on('broadcaster-join', roomId => {
+    try {
+      if (!roomId) return;
+      const info = socketToUser.get(socket.id);
+      if (!info || !info.userId) return rejectUnauthenticated(socket, 'broadcaster-join');
+      if (socket.data.hostRooms.has(roomId)) {
+        registerOwner(roomId);
+        return;
+      }
+      verifyRoomHost(info.userId, roomId, ok => {
+        if (!ok) {
+          console.warn('[server] broadcaster-join rejected: user', info.userId, 'does not host', roomId);
+          socket.emit('broadcaster-error', { roomId, reason: 'not-owner' });
+          return;
+        }
+        socket.data.hostRooms.add(roomId);
+        registerOwner(roomId);
+        console.log('[server] broadcaster joined room', roomId, socket.id, 'user:', info.username, 'owners size', roomOwners.size);
+      });
+    } catch (e) {
+      console.warn('broadcaster-join failed', e);
+    }
+  });
+  
+  socket.on('pk-toggle', ({ roomId, enabled }) => {
+    if (!roomId || roomOwners.get(roomId) !== socket.id) return;
+    roomPkEnabled.set(roomId, !!enabled);
+    if (!enabled) leavePkQueue(roomId, 'disabled');
+  });
+  
+  // viewer-ready: 觀眾加入房間並準備接收串流
+  socket.on('viewer-ready', ({ roomId, viewerId, restart }) => {
+    if (!roomId) return;
+    // 既有連線中斷、要求 ICE restart：直接交給主播重新協商，不改走 SFU
+    if (restart) return socket.to(roomId).emit('viewer-ready', { viewerId, restart: true });
+    // 通知房間內的 broadcaster 有新觀眾準備好了
+    const notifyBroadcaster = () => socket.to(roomId).emit('viewer-ready', { viewerId });
+    // 觀眾多的房間改由 SFU 轉發，SFU 失敗時退回 mesh
+    if (sfuShouldRelay(roomId)) return sfuSubscribe(roomId, socket.id, notifyBroadcaster);
+    notifyBroadcaster();
+  });
+  
+  // HLS 備援：觀眾要求 / 離開，房主上傳 MediaRecorder 片段
+  socket.on('hls-request', ({ roomId } = {}) => {
+    // 只替已加入該房間（且未被封鎖）的觀眾開始 HLS 轉檔
+    if (!roomId || !socket.rooms.has(roomId)) return;
+    const info = socketToUser.get(socket.id);
+    checkRoomAccess(roomId, info && info.userId, allowed => {
+      if (allowed) hlsAddViewer(roomId, socket.id);
+    });
+  });
+  socket.on('hls-leave', ({ roomId } = {}) => {
+    if (roomId) hlsRemoveViewer(roomId, socket.id);
+  });
+  socket.on('hls-chunk', ({ roomId, data } = {}) => {
+    if (roomId) hlsIngest(socket, roomId, data);
+  });
+
+  // 直播錄影：主播開始 / 上傳片段 / 結束（ack 後才開始送片段，確保第一段含檔頭）
+  socket.on('record-start', ({ roomId, mimeType } = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!roomId) return reply({ ok: false, reason: 'bad-request' });
+    recordingStart(socket, roomId, mimeType, reply);
+  });
+  socket.on('record-chunk', ({ roomId, data } = {}) => {
+    if (roomId) recordingIngest(socket, roomId, data);
+  });
+  socket.on('record-stop', ({ roomId } = {}, ack) => {
+    const rec = roomId && recordingSessions.get(roomId);
+    const info = socketToUser.get(socket.id);
+    if (rec && info && info.userId === rec.userId) recordingFinalize(roomId);
+    if (typeof ack === 'function') ack({ ok: true });
+  });
+
+  socket.on("watcher", () => {
+    console.log('[server] watcher (legacy)', socket.id);
+    socket.broadcast.emit("watcher", socket.id);
+  });
+  
+  // WebRTC signaling: 點對點傳送（不限制成一個寶間，因為已經由 id 指定對象）
+  socket.on("offer", (id, message) => { if (!sfuHandleSignal(socket, 'offer', id, message)) socket.to(id).emit("offer", socket.id, message); });
+  socket.on("answer", (id, message) => { if (!sfuHandleSignal(socket, 'answer', id, message)) socket.to(id).emit("answer", socket.id, message); });
+  socket.on("candidate", (id, message) => { if (!sfuHandleSignal(socket, 'candidate', id, message)) socket.to(id).emit("candidate", socket.id, message); });
+  socket.on("disconnect", () => {
+    socket.broadcast.emit("bye", socket.id);
+    for (const [roomId, room] of Array.from(sfuRooms)) {
+      if (room.ownerSocket === socket.id) {
+        sfuCloseRoom(roomId, 'owner-left');
+        continue;
+      }
+      room.waiting = room.waiting.filter(w => w.viewerId !== socket.id);
+      sfuRemoveSubscriber(roomId, socket.id);
+    }
+    for (const [roomId, sess] of Array.from(hlsSessions)) {
+      if (sess.ownerSocket === socket.id) hlsStop(roomId, 'broadcaster-left');
+      else hlsRemoveViewer(roomId, socket.id);
+    }
+    socketToUser.delete(socket.id);
+    for (const entry of Array.from(pkQueue.values())) if (entry.socketId === socket.id) leavePkQueue(entry.room);
+    for (const event of Object.keys(RATE_LIMITS)) rateBuckets.delete(`s:${socket.id}:${event}`);
+  });
+
+  // 房間人數追蹤 (maps are global)
+
+  function updateViewerCount(roomId) {
+    const room = io.sockets.adapter.rooms.get(roomId);
+    const count = room ? room.size : 0;
+    roomViewers.set(roomId, count);
+    recordPeakViewers(roomId, count);
+    io.to(roomId).emit("viewer-count", count);
+  }
+
+  // Chatroom：加入房間
+  socket.on("join-room", roomId => {
+    if (!roomId) return;
+    const info = socketToUser.get(socket.id);
+    if (!info || !info.userId) return joinRoom(roomId);
+    // banned users are turned away before they enter the room
+    db.query("SELECT id FROM room_bans WHERE room_id=? AND user_id=? LIMIT 1", [roomId, info.userId], (err, rows) => {
+      if (err) console.warn('[server] ban check failed for', roomId, err.message || err);
+      if (!err && rows.length > 0) {
+        console.log('[mod] banned user', info.userId, 'refused from room', roomId);
+        socket.emit('room-banned', { roomId });
+        return;
+      }
+      joinRoom(roomId);
+    });
+  });
+
+  function joinRoom(roomId) {
+    socket.join(roomId);
+    io.to(roomId).emit("system-message", "有個人加入直播，你好！");
+    updateViewerCount(roomId);
+
+    // replay recent chat to the joining socket only
+    db.query(
+      "SELECT * FROM chat_messages WHERE room_id=? AND deleted_at IS NULL ORDER BY id DESC LIMIT ?",
+      [roomId, CHAT_REPLAY_COUNT],
+      (err, rows) => {
+        if (err) return console.warn('[server] chat replay failed for', roomId, err.message || err);
+        socket.emit('chat-history', { roomId, messages: rows.reverse().map(chatRowToMessage) });
+      }
+    );
+    
+    // If this is a PK combined room, send broadcaster info to the joining socket
+    if (roomBroadcasters.has(roomId)) {
+      const broadcasterIds = Array.from(roomBroadcasters.get(roomId));
+      const broadcasterInfos = broadcasterIds.map(bid => {
+        const info = socketToUser.get(bid) || { socketId: bid, userId: null, username: '未知使用者' };
+        return { socketId: bid, ...info };
+      });
+      socket.emit('broadcaster-info', { roomId, broadcasters: broadcasterInfos });
+      console.log('[server] Sent broadcaster info to viewer in room', roomId, ':', broadcasterInfos.map(b => b.username));
+    }
+
+    // PK room: current tally plus this user's own free vote
+    if (roomId.startsWith('PK_')) {
+      loadPkVotes(roomId, err => {
+        if (err) return;
+        socket.emit('pk-votes-updated', pkVoteSnapshot(roomId));
+        const info = socketToUser.get(socket.id);
+        const mine = info && info.userId ? pkFreeVotes.get(roomId).get(String(info.userId)) : null;
+        socket.emit('pk-vote-status', { roomId, ownerId: mine || null, extraVotePrice: PK_EXTRA_VOTE_PRICE, extraVotesMax: PK_EXTRA_VOTES_MAX });
+      });
+    }
+    
+    // ensure reaction map exists for this room
+    if (!roomReactions.has(roomId)) roomReactions.set(roomId, new Map());
+    // send current reaction stats to the joining client
+    const map = roomReactions.get(roomId) || new Map();
+    const counts = {};
+    for (const t of map.values()) counts[t] = (counts[t] || 0) + 1;
+    let topType = null, topCount = 0;
+    for (const [k, v] of Object.entries(counts)) {
+      if (v > topCount) { topType = k; topCount = v; }
+    }
+    io.to(roomId).emit('reaction-stats', { topType, topCount, counts });
+  }
+
+  // 主播身分：session 驗證過的房主，且目前登記在 roomOwners / roomBroadcasters
+  function isRoomHost(roomId) {
+    if (!socket.data.hostRooms.has(roomId)) return false;
+    const bcasters = roomBroadcasters.get(roomId);
+    return roomOwners.get(roomId) === socket.id || !!(bcasters && bcasters.has(socket.id));
+  }
+
+  // 聊天 / 表情前的房間檢查：socket 必須仍在房內（被踢出時已離開），登入者不可在 room_bans 中
+  // roomId 來自 client，查詢失敗時一律拒絕
+  function checkRoomAccess(roomId, userId, cb) {
+    if (!socket.rooms.has(roomId)) return cb(false);
+    if (!userId) return cb(true);
+    db.query("SELECT id FROM room_bans WHERE room_id=? AND user_id=? LIMIT 1", [roomId, userId], (err, rows) => {
+      if (err) {
+        console.warn('[server] ban check failed for', roomId, err.message || err);
+        return cb(false);
+      }
+      if (rows.length > 0) {
+        // banned while still connected (e.g. another tab of the same user): take this socket out as well
+        socket.emit('room-banned', { roomId });
+        socket.leave(roomId);
+        updateViewerCount(roomId);
+        return cb(false);
+      }
+      cb(true);
+    });
+  }
+
+  // 速率限制：同時檢查 socket 與使用者兩個 bucket；超過時通知發送者（每秒最多一次）
+  const rateNotified = new Map(); // event -> last notice ts
+  function allowEvent(event, roomId) {
+    const rule = RATE_LIMITS[event];
+    if (!rule) return true;
+    const info = socketToUser.get(socket.id);
+    let wait = takeToken(`s:${socket.id}:${event}`, rule.socket);
+    if (!wait && info && info.userId) wait = takeToken(`u:${info.userId}:${event}`, rule.user);
+    if (!wait) return true;
+    const now = Date.now();
+    if (now - (rateNotified.get(event) || 0) >= 1000) {
+      rateNotified.set(event, now);
+      socket.emit('rate-limited', { event, roomId, retryAfterMs: wait });
+    }
+    return false;
+  }
 
   // Chatroom：廣播訊息（server 端轉發給同房間的所有 client）
   socket.on('chat-message', data => {
-    // data expected: { roomId, user, text, avatar }
+    // data expected: { roomId, text } — identity fields sent by the client are ignored
     console.log('[server] chat-message received', data && data.roomId, socket.id);
-    if (!data || !data.roomId) return;
-    // forward userId if present so clients can deterministically color users
-    io.to(data.roomId).emit('chat-message', {
-      roomId: data.roomId,
-      user: data.user,
-      userId: data.userId || null,
-      text: data.text,
-      avatar: data.avatar,
-      isHost: data.isHost ? true : false,
-      sender: socket.id // attach sender socket id for fallback coloring
+    if (!data || !data.roomId || !socket.rooms.has(data.roomId)) return;
+    const text = typeof data.text === 'string' ? data.text.trim().slice(0, CHAT_MAX_LENGTH) : '';
+    if (!text) return;
+    const sess = socket.request.session;
+    if (!sess || !sess.user) return rejectUnauthenticated(socket, 'chat-message');
+    const mutedUntil = getMutedUntil(data.roomId, sess.user.id);
+    if (mutedUntil) return socket.emit('chat-muted', { roomId: data.roomId, until: mutedUntil });
+    if (!allowEvent('chat-message', data.roomId)) return;
+    const filtered = applyBannedWords(data.roomId, text);
+    if (filtered.rejected) return socket.emit('chat-rejected', { roomId: data.roomId, reason: 'banned-word' });
+    // reload so username/avatar edits (and logouts) made over HTTP apply to the live socket
+    sess.reload(err => {
+      const user = !err && sess.user && sess.user.id ? sess.user : null;
+      if (!user) {
+        socketToUser.set(socket.id, { socketId: socket.id, userId: null, username: '未知使用者', avatar: null });
+        return rejectUnauthenticated(socket, 'chat-message');
+      }
+      socketToUser.set(socket.id, { socketId: socket.id, userId: user.id, username: user.username, avatar: user.avatar });
+      checkRoomAccess(data.roomId, user.id, allowed => {
+        if (!allowed) return;
+        const message = {
+          id: crypto.randomUUID(),
+          roomId: data.roomId,
+          user: user.username,
+          userId: user.id,
+          text: filtered.text,
+          avatar: user.avatar || null,
+          isHost: isRoomHost(data.roomId),
+          ts: Date.now()
+        };
+        // attach sender socket id for fallback coloring
+        io.to(data.roomId).emit('chat-message', { ...message, sender: socket.id });
+
+        // persist for replay on join and the history API
+        db.query(
+          "INSERT INTO chat_messages (msg_id, room_id, user_id, username, avatar, is_host, text, created_at) VALUES (?,?,?,?,?,?,?,?)",
+          [message.id, message.roomId, message.userId, message.user, message.avatar, message.isHost, message.text, new Date(message.ts)],
+          err2 => {
+            if (err2) console.warn('❌ 聊天訊息寫入失敗：', err2.message || err2);
+          }
+        );
+      });
+    });
+  });
+
+  // --- 聊天室管理：禁言 / 踢出 / 封鎖 / 刪除訊息（僅限房主） ---
+
+  // 檢查管理權限並找出目標使用者；通過時回傳 true，否則回覆 mod-result 錯誤
+  function authorizeModeration(action, roomId, targetUserId) {
+    if (!roomId || !isRoomHost(roomId)) {
+      socket.emit('mod-result', { action, ok: false, reason: 'not-owner' });
+      return false;
+    }
+    if (targetUserId !== undefined) {
+      const me = socketToUser.get(socket.id);
+      if (!targetUserId || (me && String(me.userId) === String(targetUserId))) {
+        socket.emit('mod-result', { action, ok: false, reason: 'invalid-target' });
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // 將指定使用者的所有 socket 移出房間
+  function removeUserFromRoom(roomId, targetUserId, event) {
+    const members = io.sockets.adapter.rooms.get(roomId) || new Set();
+    let removed = 0;
+    for (const sid of Array.from(members)) {
+      const u = socketToUser.get(sid);
+      if (!u || String(u.userId) !== String(targetUserId)) continue;
+      const target = io.sockets.sockets.get(sid);
+      if (!target) continue;
+      target.emit(event, { roomId });
+      target.leave(roomId);
+      removed++;
+    }
+    if (removed) updateViewerCount(roomId);
+    return removed;
+  }
+
+  // 禁言：{ roomId, userId, seconds }
+  socket.on('mod-timeout', ({ roomId, userId, seconds } = {}) => {
+    if (!authorizeModeration('timeout', roomId, userId)) return;
+    const secs = Math.min(Math.max(Number(seconds) || MOD_TIMEOUT_DEFAULT, 10), MOD_TIMEOUT_MAX);
+    if (!roomMutes.has(roomId)) roomMutes.set(roomId, new Map());
+    const until = Date.now() + secs * 1000;
+    roomMutes.get(roomId).set(String(userId), until);
+    console.log('[mod] timeout', userId, 'in', roomId, 'for', secs, 's by', socket.id);
+    io.to(roomId).emit('system-message', `一位觀眾已被主播禁言 ${secs} 秒`);
+    socket.emit('mod-result', { action: 'timeout', ok: true, userId, until });
+  });
+
+  // 踢出：{ roomId, userId }
+  socket.on('mod-kick', ({ roomId, userId } = {}) => {
+    if (!authorizeModeration('kick', roomId, userId)) return;
+    const removed = removeUserFromRoom(roomId, userId, 'kicked');
+    console.log('[mod] kick', userId, 'from', roomId, 'sockets removed', removed);
+    if (removed) io.to(roomId).emit('system-message', '一位觀眾已被主播請出直播間');
+    socket.emit('mod-result', { action: 'kick', ok: removed > 0, userId, reason: removed ? undefined : 'not-in-room' });
+  });
+
+  // 封鎖（寫入 room_bans，之後 join-room 會被拒絕）：{ roomId, userId, reason }
+  socket.on('mod-ban', ({ roomId, userId, reason } = {}) => {
+    if (!authorizeModeration('ban', roomId, userId)) return;
+    const me = socketToUser.get(socket.id);
+    db.query(
+      "INSERT INTO room_bans (room_id, user_id, banned_by, reason) VALUES (?,?,?,?) ON DUPLICATE KEY UPDATE banned_by=VALUES(banned_by), reason=VALUES(reason)",
+      [roomId, userId, me.userId, reason ? String(reason).slice(0, 255) : null],
+      err => {
+        if (err) {
+          console.error('❌ 封鎖使用者失敗：', err);
+          return socket.emit('mod-result', { action: 'ban', ok: false, userId, reason: 'db-error' });
+        }
+        removeUserFromRoom(roomId, userId, 'room-banned');
+        console.log('[mod] ban', userId, 'from', roomId, 'by user', me.userId);
+        io.to(roomId).emit('system-message', '一位觀眾已被主播封鎖');
+        socket.emit('mod-result', { action: 'ban', ok: true, userId });
+      }
+    );
+  });
+
+  // 解除封鎖：{ roomId, userId }
+  socket.on('mod-unban', ({ roomId, userId } = {}) => {
+    if (!authorizeModeration('unban', roomId, userId)) return;
+    db.query("DELETE FROM room_bans WHERE room_id=? AND user_id=?", [roomId, userId], err => {
+      if (err) console.error('❌ 解除封鎖失敗：', err);
+      socket.emit('mod-result', { action: 'unban', ok: !err, userId });
     });
   });
 
-  // 系統訊息：由 server 轉發給指定房間的 clients
-  socket.on('system-message', ({ roomId, text }) => {
-    if (!roomId || !text) return;
-    io.to(roomId).emit('system-message', text);
+  // 刪除訊息：{ roomId, messageId }
+  socket.on('mod-delete-message', ({ roomId, messageId } = {}) => {
+    if (!authorizeModeration('delete-message', roomId)) return;
+    if (!messageId) return socket.emit('mod-result', { action: 'delete-message', ok: false, reason: 'invalid-target' });
+    const me = socketToUser.get(socket.id);
+    db.query(
+      "UPDATE chat_messages SET deleted_at=NOW(3), deleted_by=? WHERE msg_id=? AND room_id=? AND deleted_at IS NULL",
+      [me.userId, messageId, roomId],
+      err => {
+        // hide it live even if the row could not be updated (it may not have been persisted)
+        if (err) console.warn('[mod] delete message DB update failed', err.message || err);
+        io.to(roomId).emit('chat-message-deleted', { roomId, messageId });
+        socket.emit('mod-result', { action: 'delete-message', ok: true, messageId });
+      }
+    );
+  });
+
+  // 系統訊息：只有房主可以發送，由 server 轉發給指定房間的 clients（同樣經過速率限制與違禁詞過濾）
+  socket.on('system-message', ({ roomId, text } = {}) => {
+    if (!roomId || typeof text !== 'string' || !text.trim()) return;
+    if (!isRoomHost(roomId)) return;
+    if (!allowEvent('system-message', roomId)) return;
+    const filtered = applyBannedWords(roomId, text.trim().slice(0, CHAT_MAX_LENGTH));
+    if (filtered.rejected) return socket.emit('chat-rejected', { roomId, reason: 'banned-word' });
+    io.to(roomId).emit('system-message', filtered.text);
   });
 
   // Reaction events from viewers (e.g., heart, laugh, cry, like)
@@ -572,39 +3500,50 @@ io.on("connection", socket => {
       console.warn('[server] reaction: invalid payload', data);
       return;
     }
-    // Forward raw event to room for visual effects (broadcaster/viewers)
-    io.to(data.roomId).emit('reaction', { type: data.type, from: socket.id });
+    if (!allowEvent('reaction', data.roomId)) return;
+    const info = socketToUser.get(socket.id);
+    checkRoomAccess(data.roomId, info && info.userId, allowed => {
+      if (!allowed) return;
+      // Forward raw event to room for visual effects (broadcaster/viewers)
+      io.to(data.roomId).emit('reaction', { type: data.type, from: socket.id });
+
+      // guests still see/trigger animations, but only logged-in users count toward stats
+      if (!info || !info.userId) {
+        console.log('[server] reaction from guest not counted for stats:', socket.id);
+        return;
+      }
 
-    // Register unique reaction per socket per room (count each viewer once)
-    if (!roomReactions.has(data.roomId)) roomReactions.set(data.roomId, new Map());
-    const map = roomReactions.get(data.roomId);
-    // if this socket hasn't reacted yet, record and emit updated stats
-    if (!map.has(socket.id)) {
-      map.set(socket.id, data.type);
-      // compute counts
-      const counts = {};
-      for (const t of map.values()) counts[t] = (counts[t] || 0) + 1;
-      let topType = null, topCount = 0;
-      for (const [k, v] of Object.entries(counts)) {
-        if (v > topCount) { topType = k; topCount = v; }
+      // Register unique reaction per socket per room (count each viewer once)
+      if (!roomReactions.has(data.roomId)) roomReactions.set(data.roomId, new Map());
+      const map = roomReactions.get(data.roomId);
+      // if this socket hasn't reacted yet, record and emit updated stats
+      if (!map.has(socket.id)) {
+        map.set(socket.id, data.type);
+        // compute counts
+        const counts = {};
+        for (const t of map.values()) counts[t] = (counts[t] || 0) + 1;
+        let topType = null, topCount = 0;
+        for (const [k, v] of Object.entries(counts)) {
+          if (v > topCount) { topType = k; topCount = v; }
+        }
+        io.to(data.roomId).emit('reaction-stats', { topType, topCount, counts });
+        console.log('[server] reaction stats updated for room', data.roomId, topType, topCount);
+      } else {
+        // already counted this socket for this room; ignore for stats
+        console.log('[server] reaction ignored for stats (already counted):', socket.id);
       }
-      io.to(data.roomId).emit('reaction-stats', { topType, topCount, counts });
-      console.log('[server] reaction stats updated for room', data.roomId, topType, topCount);
-    } else {
-      // already counted this socket for this room; ignore for stats
-      console.log('[server] reaction ignored for stats (already counted):', socket.id);
-    }
-    // optional: also emit as UDP packet for external consumers
-    if (udpClient && UDP_HOST && UDP_PORT) {
-      try {
-        const payload = JSON.stringify({ roomId: data.roomId, type: data.type, from: socket.id, ts: Date.now() });
-        udpClient.send(Buffer.from(payload), UDP_PORT, UDP_HOST, err => {
-          if (err) console.warn('UDP send error for reaction:', err);
-        });
-      } catch (e) {
-        console.warn('UDP emit failed:', e);
+      // optional: also emit as UDP packet for external consumers
+      if (udpClient && UDP_HOST && UDP_PORT) {
+        try {
+          const payload = JSON.stringify({ roomId: data.roomId, type: data.type, from: socket.id, ts: Date.now() });
+          udpClient.send(Buffer.from(payload), UDP_PORT, UDP_HOST, err => {
+            if (err) console.warn('UDP send error for reaction:', err);
+          });
+        } catch (e) {
+          console.warn('UDP emit failed:', e);
+        }
       }
-    }
+    });
   });
 
   // Allow changing previously selected reaction (reselect): updates stats
@@ -612,19 +3551,25 @@ io.on("connection", socket => {
   socket.on('reaction-change', data => {
     try {
       if (!data || !data.roomId || !data.type) return;
-      // ensure map exists
-      if (!roomReactions.has(data.roomId)) roomReactions.set(data.roomId, new Map());
-      const map = roomReactions.get(data.roomId);
-      // update this socket's recorded reaction to new type
-      map.set(socket.id, data.type);
-      // recompute counts and emit
-      const counts = {};
-      for (const t of map.values()) counts[t] = (counts[t] || 0) + 1;
-      let topType = null, topCount = 0;
-      for (const [k, v] of Object.entries(counts)) { if (v > topCount) { topType = k; topCount = v; } }
-      io.to(data.roomId).emit('reaction-stats', { topType, topCount, counts });
-      // also broadcast a visual-only reaction event so clients can animate the change
-      io.to(data.roomId).emit('reaction', { type: data.type, from: socket.id, changed: true });
+      const info = socketToUser.get(socket.id);
+      if (!info || !info.userId) return rejectUnauthenticated(socket, 'reaction-change');
+      if (!allowEvent('reaction-change', data.roomId)) return;
+      checkRoomAccess(data.roomId, info.userId, allowed => {
+        if (!allowed) return;
+        // ensure map exists
+        if (!roomReactions.has(data.roomId)) roomReactions.set(data.roomId, new Map());
+        const map = roomReactions.get(data.roomId);
+        // update this socket's recorded reaction to new type
+        map.set(socket.id, data.type);
+        // recompute counts and emit
+        const counts = {};
+        for (const t of map.values()) counts[t] = (counts[t] || 0) + 1;
+        let topType = null, topCount = 0;
+        for (const [k, v] of Object.entries(counts)) { if (v > topCount) { topType = k; topCount = v; } }
+        io.to(data.roomId).emit('reaction-stats', { topType, topCount, counts });
+        // also broadcast a visual-only reaction event so clients can animate the change
+        io.to(data.roomId).emit('reaction', { type: data.type, from: socket.id, changed: true });
+      });
     } catch (e) {
       console.warn('reaction-change failed', e);
     }
@@ -633,11 +3578,16 @@ io.on("connection", socket => {
   // PK-specific emoji stream (separate from normal reactions)
   socket.on('pk-emoji', data => {
     if (!data || !data.roomId || !data.type) return;
-    try {
-      io.to(data.roomId).emit('pk-emoji', { type: data.type, from: socket.id });
-    } catch (e) {
-      console.warn('pk-emoji emit failed', e);
-    }
+    if (!allowEvent('pk-emoji', data.roomId)) return;
+    const info = socketToUser.get(socket.id);
+    checkRoomAccess(data.roomId, info && info.userId, allowed => {
+      if (!allowed) return;
+      try {
+        io.to(data.roomId).emit('pk-emoji', { type: data.type, from: socket.id });
+      } catch (e) {
+        console.warn('pk-emoji emit failed', e);
+      }
+    });
   });
 
   // Debug: check whether a target room has an owner registered
@@ -652,237 +3602,296 @@ io.on("connection", socket => {
     }
   });
 
-  // PK: send an invite from one broadcaster room to another
-  socket.on('pk-request', ({ fromRoom, targetRoom }) => {
-    if (!fromRoom || !targetRoom) return;
-    console.log('[pk] request from', fromRoom, 'to', targetRoom, 'socket', socket.id);
-    let targetSocket = roomOwners.get(targetRoom) || null;
-    if (!targetSocket && roomBroadcasters.has(targetRoom)) {
-      // fallback: any broadcaster socket in that room
-      const set = roomBroadcasters.get(targetRoom);
-      targetSocket = set && set.size ? Array.from(set)[0] : null;
-      console.warn('[pk] owner missing; fallback to broadcaster set for', targetRoom, '=>', targetSocket);
-    }
-    if (!targetSocket) {
-      // last resort: any socket in the room (could be broadcaster if map not populated yet)
-      const setAny = io.sockets.adapter.rooms.get(targetRoom) || new Set();
-      targetSocket = Array.from(setAny).find(id => id !== socket.id) || null;
-      console.warn('[pk] owner/broadcaster missing; fallback to any socket in room', targetRoom, '=>', targetSocket);
-    }
-    if (!targetSocket) {
-      console.warn('[pk] target not found for', targetRoom, 'owners size', roomOwners.size, 'broadcasters size', roomBroadcasters.has(targetRoom) ? roomBroadcasters.get(targetRoom).size : 0);
-      socket.emit('pk-error', { reason: 'target-not-found' });
+  // PK: send an invite from one broadcaster room to one or more others
+  // { fromRoom, targetRoom | targetRooms: [...], duration }；最多邀請 PK_MAX_HOSTS - 1 間
+  socket.on('pk-request', ({ fromRoom, targetRoom, targetRooms, duration }) => {
+    const targets = Array.from(new Set((Array.isArray(targetRooms) ? targetRooms : [targetRoom]).filter(r => r && r !== fromRoom)));
+    if (!fromRoom || !targets.length) return;
+    const info = socketToUser.get(socket.id);
+    if (!info || !info.userId) return rejectUnauthenticated(socket, 'pk-request');
+    // only the verified owner of fromRoom may invite on its behalf
+    if (roomOwners.get(fromRoom) !== socket.id) {
+      console.warn('[pk] request rejected: socket is not the owner of', fromRoom, socket.id);
+      socket.emit('pk-error', { reason: 'not-owner' });
       return;
     }
-    // check if target accepts PK
-    if (roomPkEnabled.has(targetRoom) && roomPkEnabled.get(targetRoom) === false) {
-      console.warn('[pk] target disabled PK', targetRoom);
-      socket.emit('pk-error', { reason: 'target-disabled' });
+    if (targets.length > PK_MAX_HOSTS - 1) {
+      socket.emit('pk-error', { reason: 'too-many-targets', max: PK_MAX_HOSTS - 1 });
       return;
     }
-    // forward invite to target broadcaster
-    console.log('[pk] forwarding invite to socket', targetSocket);
-    io.to(targetSocket).emit('pk-invite', { fromRoom, fromSocket: socket.id });
+    console.log('[pk] request from', fromRoom, 'to', targets, 'socket', socket.id);
+    const pkDuration = normalizePkDuration(duration);
+    // a manual invitation takes the room out of matchmaking
+    leavePkQueue(fromRoom, 'left');
+
+    const invited = [];
+    targets.forEach(room => {
+      let targetSocket = findRoomHostSocket(room);
+      if (!targetSocket) {
+        // last resort: any socket in the room (could be broadcaster if map not populated yet)
+        const setAny = io.sockets.adapter.rooms.get(room) || new Set();
+        targetSocket = Array.from(setAny).find(id => id !== socket.id) || null;
+        console.warn('[pk] owner/broadcaster missing; fallback to any socket in room', room, '=>', targetSocket);
+      }
+      if (!targetSocket) {
+        console.warn('[pk] target not found for', room, 'owners size', roomOwners.size);
+        socket.emit('pk-error', { reason: 'target-not-found', targetRoom: room });
+        return;
+      }
+      // check if target accepts PK
+      if (roomPkEnabled.has(room) && roomPkEnabled.get(room) === false) {
+        console.warn('[pk] target disabled PK', room);
+        socket.emit('pk-error', { reason: 'target-disabled', targetRoom: room });
+        return;
+      }
+      invited.push({ room, targetSocket });
+    });
+    if (!invited.length) return;
+
+    openPkLobby(fromRoom, socket.id, invited, pkDuration);
+  });
+  // PK 配對：不必輸入房號，由 server 依 hashtag 與觀看人數自動找對手 { roomId, duration }
+  socket.on('pk-queue-join', ({ roomId, duration } = {}) => {
+    if (!roomId) return;
+    const info = socketToUser.get(socket.id);
+    if (!info || !info.userId) return rejectUnauthenticated(socket, 'pk-queue-join');
+    if (roomOwners.get(roomId) !== socket.id) return socket.emit('pk-error', { reason: 'not-owner' });
+    if (roomPkEnabled.get(roomId) === false) return socket.emit('pk-error', { reason: 'pk-disabled' });
+    if (roomBusyForPk(roomId)) return socket.emit('pk-error', { reason: 'busy' });
+    // only rooms that are live in streams can be matched; their hashtags drive the pairing
+    db.query(
+      `SELECT h.tag_name FROM streams s
+       LEFT JOIN stream_hashtags sh ON sh.stream_id = s.id
+       LEFT JOIN hashtags h ON h.id = sh.hashtag_id
+       WHERE s.room_id=? AND s.user_id=? AND s.status=TRUE`,
+      [roomId, info.userId],
+      (err, rows) => {
+        if (err) {
+          console.error("❌ PK 配對查詢直播失敗：", err);
+          return socket.emit('pk-error', { reason: 'server-error' });
+        }
+        if (!rows.length) return socket.emit('pk-error', { reason: 'not-live' });
+        if (roomOwners.get(roomId) !== socket.id) return;
+        const tags = new Set(rows.filter(r => r.tag_name).map(r => '#' + r.tag_name));
+        const previous = pkQueue.get(roomId);
+        leavePkQueue(roomId);
+        joinPkQueue({
+          room: roomId,
+          socketId: socket.id,
+          userId: info.userId,
+          duration: normalizePkDuration(duration),
+          tags,
+          queuedAt: previous ? previous.queuedAt : Date.now(),
+          skip: previous ? previous.skip : new Set()
+        });
+      }
+    );
   });
+
+  socket.on('pk-queue-leave', ({ roomId } = {}) => {
+    if (!roomId || roomOwners.get(roomId) !== socket.id) return;
+    leavePkQueue(roomId, 'left');
+  });
+
   // response to pk invite: { fromRoom, targetRoom, accept }
   socket.on('pk-response', ({ fromRoom, targetRoom, accept }) => {
     try {
       console.log('[pk] response', accept ? 'accept' : 'reject', 'from', targetRoom, 'to', fromRoom);
       const fromOwner = roomOwners.get(fromRoom);
       if (!fromOwner) return;
+      // the responder must own one side of the invite (target accepts/rejects, requester may cancel)
+      if (roomOwners.get(targetRoom) !== socket.id && fromOwner !== socket.id) {
+        console.warn('[pk] response ignored: socket owns neither room', socket.id);
+        return;
+      }
+      if (accept && roomOwners.get(targetRoom) !== socket.id) return;
       // notify the requester of accept/reject
       io.to(fromOwner).emit('pk-response', { fromRoom, targetRoom, accept, responderSocket: socket.id });
-      if (!accept) return;
-
-      // We need broadcaster user_ids to form combined id. Try to query DB for both room owners,
-      // fallback to using room ids if user ids not found.
-      const handleCombined = (ownerIdA, ownerIdB) => {
-        // generate PK room with format: PK_xxxxx (random 5-char code)
-        const combined = 'PK_' + generateRoomCode();
-
-        // inform both broadcasters to start PK and include left/right owner mapping (preserve original order as left=fromRoom owner)
-        let ownerASocket = roomOwners.get(fromRoom) || null;
-        let ownerBSocket = roomOwners.get(targetRoom) || null;
-        // fallback to broadcaster set if owner missing
-        if (!ownerASocket && roomBroadcasters.has(fromRoom)) {
-          const setA = roomBroadcasters.get(fromRoom);
-          ownerASocket = setA && setA.size ? Array.from(setA)[0] : null;
-          console.warn('[pk] owner socket missing for fromRoom; fallback broadcaster', fromRoom, ownerASocket);
-        }
-        if (!ownerBSocket && roomBroadcasters.has(targetRoom)) {
-          const setB = roomBroadcasters.get(targetRoom);
-          ownerBSocket = setB && setB.size ? Array.from(setB)[0] : null;
-          console.warn('[pk] owner socket missing for targetRoom; fallback broadcaster', targetRoom, ownerBSocket);
-        }
-        const leftOwner = ownerIdA || String(fromRoom);
-        const rightOwner = ownerIdB || String(targetRoom);
-        let emittedStart = false;
-        if (ownerASocket) { io.to(ownerASocket).emit('pk-start', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner }); emittedStart = true; }
-        if (ownerBSocket) { io.to(ownerBSocket).emit('pk-start', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner }); emittedStart = true; }
-        // fallback: emit to rooms if owner sockets missing
-        if (!emittedStart) {
-          console.warn('[pk] pk-start fallback broadcast to rooms', fromRoom, targetRoom);
-          io.to(fromRoom).emit('pk-start', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner });
-          io.to(targetRoom).emit('pk-start', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner });
-        }
-        console.log('[pk] pk-start emitted', { combined, ownerASocket, ownerBSocket, leftOwner, rightOwner });
 
-        // notify viewers in both rooms to redirect to pk viewer page and include owner mapping
-        try {
-          io.to(fromRoom).emit('pk-merged', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner });
-          const setA = io.sockets.adapter.rooms.get(fromRoom) || new Set();
-          for (const sid of setA) io.to(sid).emit('pk-merged', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner });
-        } catch (e) { console.warn('emit pk-merged to fromRoom failed', e); }
-        try {
-          io.to(targetRoom).emit('pk-merged', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner });
-          const setB = io.sockets.adapter.rooms.get(targetRoom) || new Set();
-          for (const sid of setB) io.to(sid).emit('pk-merged', { combinedRoom: combined, leftOwner: leftOwner, rightOwner: rightOwner });
-        } catch (e) { console.warn('emit pk-merged to targetRoom failed', e); }
-        console.log('[server] pk-merged emitted for', fromRoom, targetRoom, '->', combined);
-
-        // merge reaction maps
-        const newMap = new Map();
-        if (roomReactions.has(fromRoom)) for (const [k,v] of roomReactions.get(fromRoom).entries()) newMap.set(k,v);
-        if (roomReactions.has(targetRoom)) for (const [k,v] of roomReactions.get(targetRoom).entries()) newMap.set(k,v);
-        if (newMap.size > 0) roomReactions.set(combined, newMap);
-
-        // init pk vote counts for combined room using owner ids as keys
-        const votes = new Map();
-        votes.set(String(leftOwner), 0);
-        votes.set(String(rightOwner), 0);
-        roomPkVotes.set(combined, votes);
-        try {
-          const initialCounts = {};
-          initialCounts[String(leftOwner)] = 0;
-          initialCounts[String(rightOwner)] = 0;
-          io.to(combined).emit('pk-votes-updated', { counts: initialCounts, total: 0 });
-        } catch (e) {
-          console.warn('pk: failed to emit initial vote snapshot', e);
+      const lobby = pkLobbies.get(fromRoom);
+      if (!lobby) return;
+      if (fromOwner === socket.id) {
+        // requester cancelled the whole invitation
+        clearTimeout(lobby.timer);
+        pkLobbies.delete(fromRoom);
+        for (const room of lobby.targets.keys()) {
+          const targetSocket = findRoomHostSocket(room);
+          if (targetSocket) io.to(targetSocket).emit('pk-invite-cancelled', { fromRoom });
         }
+        return;
+      }
+      if (!lobby.targets.has(targetRoom)) return;
+      lobby.targets.set(targetRoom, accept ? 'accepted' : 'rejected');
+      // start once every invited room has answered
+      if (Array.from(lobby.targets.values()).every(status => status !== 'pending')) settlePkLobby(fromRoom);
+    } catch (e) {
+      console.warn('pk-response handling failed', e);
+    }
+  });
 
-        // try to insert a combined stream row BEFORE marking old ones as ended
-        // (so we can still query user_id from original streams if needed)
-        const insertCombined = (ownerId) => {
-          console.log('pk: insertCombined called with ownerId:', ownerId, 'combined room:', combined);
-          if (!ownerId) {
-            console.warn('❌ pk: no valid user_id found for combined stream; skipping DB insert (index will not show combined room)');
-            try { io.emit('cover-updated', { roomId: combined, coverPath: null }); } catch (e) { console.warn('emit cover-updated failed', e); }
-            return;
-          }
-          
-          // Query usernames for both owners to create a friendly title
-          console.log('pk: querying usernames for', leftOwner, rightOwner);
-          db.query("SELECT username FROM users WHERE id IN (?,?)", [leftOwner, rightOwner], (errUsers, userRows) => {
-            let title = 'PK直播對決';
-            if (!errUsers && userRows && userRows.length >= 2) {
-              const name1 = userRows[0].username;
-              const name2 = userRows[1].username;
-              title = `🔥 PK對決：${name1} vs ${name2}`;
-              console.log('pk: found both usernames:', name1, 'vs', name2);
-            } else if (!errUsers && userRows && userRows.length === 1) {
-              title = `🔥 PK對決：${userRows[0].username} vs 神秘主播`;
-              console.log('pk: found one username:', userRows[0].username);
-            } else {
-              console.warn('pk: failed to query usernames:', errUsers || 'no rows found');
-            }
-            
-            db.query(
-              "INSERT INTO streams (user_id, room_id, title, description, hashtags, status, last_active) VALUES (?,?,?,?,?,TRUE,NOW())",
-              [ownerId, combined, title, 'PK直播對決', '#PK'],
-              (err3) => {
-                if (err3) {
-                  console.error('❌ pk: failed to insert combined stream row:', err3.message || err3);
-                  console.error('pk: insert params:', { ownerId, combined, title });
-                } else {
-                  console.log('✅ pk: inserted combined stream', combined, 'owner', ownerId, 'title', title);
-                }
-                try { io.emit('cover-updated', { roomId: combined, coverPath: null }); } catch (e) { console.warn('emit cover-updated failed', e); }
-                
-                // AFTER successful insert, mark original streams as ended
-                db.query("UPDATE streams SET status=FALSE, last_active=NOW() WHERE room_id IN (?,?)", [fromRoom, targetRoom], (err4) => {
-                  if (err4) console.warn('pk: failed to mark old streams ended', err4);
-                  else console.log('pk: marked original streams as ended', fromRoom, targetRoom);
-                });
-              }
-            );
-          });
-        };
+  // PK direct signaling routing between two broadcasters (peer-to-peer by socket id)
+  socket.on('pk-offer', ({ to, offer }) => { if (to) io.to(to).emit('pk-offer', { from: socket.id, offer }); });
+  socket.on('pk-answer', ({ to, answer }) => { if (to) io.to(to).emit('pk-answer', { from: socket.id, answer }); });
+  socket.on('pk-candidate', ({ to, candidate }) => { if (to) io.to(to).emit('pk-candidate', { from: socket.id, candidate }); });
+
+  // PK voting from viewers: { roomId, ownerId, extra, requestId }
+  // 每位登入使用者一張免費票（可改投另一方）；extra > 0 時額外購買加碼票，從 users.balance 扣款
+  socket.on('pk-vote', ({ roomId, ownerId, extra, requestId } = {}) => {
+    if (!roomId || !ownerId) return;
+    const info = socketToUser.get(socket.id);
+    if (!info || !info.userId) return rejectUnauthenticated(socket, 'pk-vote');
+    const userId = info.userId;
+    const key = String(ownerId);
+    const extraVotes = Math.max(0, Math.min(PK_EXTRA_VOTES_MAX, Math.floor(Number(extra) || 0)));
+    // 只接受進行中的 PK，且必須投給仍在場上的主播（已結束或不存在的房間在扣款前就拒絕）
+    const checkTarget = () => {
+      const match = pkMatches.get(roomId);
+      if (!match) return 'no-match';
+      return match.hosts.some(h => !h.leftAt && String(h.ownerId) === key) ? null : 'invalid-target';
+    };
+    const rejected = checkTarget();
+    if (rejected) return socket.emit('pk-vote-result', { roomId, ok: false, reason: rejected });
+
+    loadPkVotes(roomId, err => {
+      if (err) return socket.emit('pk-vote-result', { roomId, ok: false, reason: 'server-error' });
+      const tally = roomPkVotes.get(roomId);
+      const freeVotes = pkFreeVotes.get(roomId);
+      // the match may have ended while the tally was loading
+      const rejectedNow = checkTarget();
+      if (rejectedNow) return socket.emit('pk-vote-result', { roomId, ok: false, reason: rejectedNow });
+
+      const previous = freeVotes.get(String(userId)) || null;
+      const freeVoted = previous !== key;
+      if (!freeVoted && !extraVotes) {
+        return socket.emit('pk-vote-result', { roomId, ok: false, reason: 'already-voted', ownerId: key });
+      }
 
-        // prefer leftOwner for DB insert, fallback to rightOwner
-        insertCombined(leftOwner || rightOwner);
+      if (freeVoted) {
+        if (previous) tally.set(previous, Math.max(0, (tally.get(previous) || 0) - 1));
+        tally.set(key, (tally.get(key) || 0) + 1);
+        freeVotes.set(String(userId), key);
+        io.to(roomId).emit('pk-votes-updated', pkVoteSnapshot(roomId));
+        // keep the old free vote in the audit trail, only mark it as replaced
+        db.query(
+          "UPDATE pk_votes SET superseded_at=NOW() WHERE room_id=? AND user_id=? AND kind='free' AND superseded_at IS NULL",
+          [roomId, userId],
+          err2 => { if (err2) console.warn('❌ PK 改投紀錄更新失敗：', err2.message || err2); }
+        );
+        db.query(
+          "INSERT INTO pk_votes (room_id, user_id, owner_id, kind, votes, cost) VALUES (?,?,?,'free',1,0)",
+          [roomId, userId, key],
+          err2 => { if (err2) console.warn('❌ PK 投票寫入失敗：', err2.message || err2); }
+        );
+      }
 
-        // clear old owners & broadcaster sets
-        roomOwners.delete(fromRoom);
-        roomOwners.delete(targetRoom);
-        roomBroadcasters.delete(fromRoom);
-        roomBroadcasters.delete(targetRoom);
-        roomPkEnabled.set(combined, false);
-      };
+      if (!extraVotes) {
+        return socket.emit('pk-vote-result', { roomId, ok: true, ownerId: key, changed: !!previous, extra: 0 });
+      }
 
-      // query DB for owner user_ids for both rooms (while they're still status=TRUE), then handle combined
-      db.query("SELECT user_id FROM streams WHERE room_id=? AND status=TRUE LIMIT 1", [fromRoom], (err, rows) => {
+      // 加碼票：扣款、寫入票數與金流紀錄在同一筆交易（條件式 UPDATE 避免併發時扣成負數）
+      const cost = extraVotes * PK_EXTRA_VOTE_PRICE;
+      withTransaction((conn, done) => {
+        conn.query("UPDATE users SET balance=balance-? WHERE id=? AND balance>=?", [cost, userId, cost], (err2, result) => {
+          if (err2) return done(err2);
+          if (result.affectedRows === 0) return done({ reason: 'insufficient-balance' });
+          conn.query(
+            "INSERT INTO pk_votes (room_id, user_id, owner_id, kind, votes, cost) VALUES (?,?,?,'paid',?,?)",
+            [roomId, userId, key, extraVotes, cost],
+            err3 => {
+              if (err3) return done(err3);
+              conn.query(
+                "INSERT INTO transactions (type, from_user_id, amount, quantity, room_id, idempotency_key) VALUES ('pk-vote',?,?,?,?,?)",
+                [userId, cost, extraVotes, roomId, normalizeIdempotencyKey(requestId)],
+                err4 => {
+                  if (err4) return done(err4.code === 'ER_DUP_ENTRY' ? { reason: 'duplicate' } : err4);
+                  conn.query("SELECT balance FROM users WHERE id=?", [userId], (err5, rows) => done(err5, rows && rows[0] ? rows[0].balance : undefined));
+                }
+              );
+            }
+          );
+        });
+      }, (err2, balance) => {
+        if (err2) {
+          if (!err2.reason) console.error("❌ PK 加碼票交易失敗：", err2);
+          return socket.emit('pk-vote-result', { roomId, ok: false, reason: err2.reason || 'server-error', ownerId: key, freeVoted });
+        }
+        const t = roomPkVotes.get(roomId);
+        if (t) t.set(key, (t.get(key) || 0) + extraVotes);
+        io.to(roomId).emit('pk-votes-updated', pkVoteSnapshot(roomId));
+        socket.emit('pk-vote-result', { roomId, ok: true, ownerId: key, changed: freeVoted && !!previous, freeVoted, extra: extraVotes, cost, balance });
+      });
+    });
+  });
+
+  // 送禮：{ roomId, giftId, quantity, ownerId, requestId }；PK 房間用 ownerId 指定送給哪一方，一般直播間送給房主
+  socket.on('send-gift', ({ roomId, giftId, quantity, ownerId, requestId } = {}) => {
+    if (!roomId || !giftId) return;
+    const info = socketToUser.get(socket.id);
+    if (!info || !info.userId) return rejectUnauthenticated(socket, 'send-gift');
+    if (!allowEvent('send-gift', roomId)) return;
+    const qty = Math.max(1, Math.min(GIFT_QUANTITY_MAX, Math.floor(Number(quantity) || 1)));
+    const fail = reason => socket.emit('gift-result', { roomId, ok: false, reason, giftId });
+    // 只能在已加入、且未被封鎖的房間送禮
+    if (!socket.rooms.has(roomId)) return fail('not-in-room');
+
+    checkRoomAccess(roomId, info.userId, allowed => {
+      if (!allowed) return fail('not-in-room');
+      resolveGiftRecipient(roomId, ownerId, (err, recipient) => {
         if (err) {
-          console.warn('pk: failed to query fromRoom owner', err);
-          // fallback: try without status filter (in case already marked false)
-          db.query("SELECT user_id FROM streams WHERE room_id=? ORDER BY created_at DESC LIMIT 1", [fromRoom], (err1b, rows1b) => {
-            const ownerA = (rows1b && rows1b[0]) ? rows1b[0].user_id : null;
-            db.query("SELECT user_id FROM streams WHERE room_id=? AND status=TRUE LIMIT 1", [targetRoom], (err2, rows2) => {
-              if (err2) {
-                db.query("SELECT user_id FROM streams WHERE room_id=? ORDER BY created_at DESC LIMIT 1", [targetRoom], (err2b, rows2b) => {
-                  const ownerB = (rows2b && rows2b[0]) ? rows2b[0].user_id : null;
-                  handleCombined(ownerA, ownerB);
-                });
-              } else {
-                const ownerB = (rows2 && rows2[0]) ? rows2[0].user_id : null;
-                handleCombined(ownerA, ownerB);
-              }
-            });
-          });
-          return;
+          console.error("❌ 查詢收禮者失敗：", err);
+          return fail('server-error');
         }
-        const ownerA = (rows && rows[0]) ? rows[0].user_id : null;
-        db.query("SELECT user_id FROM streams WHERE room_id=? AND status=TRUE LIMIT 1", [targetRoom], (err2, rows2) => {
+        if (!recipient) return fail('invalid-target');
+        if (String(recipient.userId) === String(info.userId)) return fail('self-gift');
+        transferGift({
+          fromUserId: info.userId,
+          toUserId: recipient.userId,
+          giftId,
+          quantity: qty,
+          roomId,
+          pkOwnerId: recipient.pkOwnerId,
+          requestId: normalizeIdempotencyKey(requestId)
+        }, (err2, result) => {
           if (err2) {
-            console.warn('pk: failed to query targetRoom owner', err2);
-            // fallback without status filter
-            db.query("SELECT user_id FROM streams WHERE room_id=? ORDER BY created_at DESC LIMIT 1", [targetRoom], (err2b, rows2b) => {
-              const ownerB = (rows2b && rows2b[0]) ? rows2b[0].user_id : null;
-              handleCombined(ownerA, ownerB);
-            });
-            return;
+            if (err2.reason) return fail(err2.reason);
+            console.error("❌ 送禮交易失敗：", err2);
+            return fail('server-error');
+          }
+          const { gift, amount, votes, transactionId, balance } = result;
+          io.to(roomId).emit('gift', {
+            roomId,
+            transactionId,
+            giftId: gift.id,
+            name: gift.name,
+            icon: gift.icon,
+            quantity: qty,
+            amount,
+            from: { userId: info.userId, username: info.username, avatar: info.avatar },
+            to: { userId: recipient.userId, username: recipient.username },
+            ownerId: recipient.pkOwnerId,
+            pkVotes: votes
+          });
+          socket.emit('gift-result', { roomId, ok: true, giftId: gift.id, quantity: qty, amount, balance: Number(balance), pkVotes: votes });
+          // PK 禮物計入收禮方的票數
+          if (votes) {
+            const tally = roomPkVotes.get(roomId);
+            if (tally) tally.set(recipient.pkOwnerId, (tally.get(recipient.pkOwnerId) || 0) + votes);
+            io.to(roomId).emit('pk-votes-updated', pkVoteSnapshot(roomId));
           }
-          const ownerB = (rows2 && rows2[0]) ? rows2[0].user_id : null;
-          handleCombined(ownerA, ownerB);
         });
       });
-      console.log('[pk] pk-response accepted, querying owners', { fromRoom, targetRoom });
-
-    } catch (e) {
-      console.warn('pk-response handling failed', e);
-    }
+    });
   });
 
-  // PK direct signaling routing between two broadcasters (peer-to-peer by socket id)
-  socket.on('pk-offer', ({ to, offer }) => { if (to) io.to(to).emit('pk-offer', { from: socket.id, offer }); });
-  socket.on('pk-answer', ({ to, answer }) => { if (to) io.to(to).emit('pk-answer', { from: socket.id, answer }); });
-  socket.on('pk-candidate', ({ to, candidate }) => { if (to) io.to(to).emit('pk-candidate', { from: socket.id, candidate }); });
-
-  // PK voting from viewers: { roomId, ownerId }
-  socket.on('pk-vote', ({ roomId, ownerId }) => {
-    try {
-      if (!roomId || !ownerId) return;
-      if (!roomPkVotes.has(roomId)) roomPkVotes.set(roomId, new Map());
-      const m = roomPkVotes.get(roomId);
-      const key = String(ownerId);
-      m.set(key, (m.get(key) || 0) + 1);
-      // broadcast updated counts to the combined room
-      const counts = {};
-      let total = 0;
-      for (const [k, v] of m.entries()) { counts[k] = v; total += v; }
-      io.to(roomId).emit('pk-votes-updated', { counts, total });
-    } catch (e) {
-      console.warn('pk-vote handling failed', e);
-    }
+  // PK 主播提前離開（pk-leave）或直接結束整場 PK（pk-end）：{ roomId }
+  socket.on('pk-leave', ({ roomId } = {}) => {
+    if (!roomId || !isRoomHost(roomId)) return socket.emit('pk-error', { reason: 'not-owner' });
+    const info = socketToUser.get(socket.id);
+    pkHostLeft(roomId, info.userId, false);
+  });
+  socket.on('pk-end', ({ roomId } = {}) => {
+    if (!roomId || !isRoomHost(roomId)) return socket.emit('pk-error', { reason: 'not-owner' });
+    endPkMatch(roomId, 'ended-by-host');
   });
 
   // return list of partner socket ids in a given room (excluding requester)
@@ -898,7 +3907,8 @@ io.on("connection", socket => {
         partnerIds = Array.from(roomBroadcasters.get(room)).filter(sid => sid !== socket.id);
       }
       // fallback to any sockets in room if no broadcaster set yet
-      if ((!partnerIds || partnerIds.length === 0)) {
+      const fallback = !partnerIds || partnerIds.length === 0;
+      if (fallback) {
         const set = io.sockets.adapter.rooms.get(room) || new Set();
         partnerIds = Array.from(set).filter(sid => sid !== socket.id);
         console.log('[pk] pk-get-partners fallback, found sockets', partnerIds);
@@ -909,7 +3919,7 @@ io.on("connection", socket => {
         return { socketId: sid, ...userInfo };
       });
       console.log('[pk] pk-get-partners returning', partners.length, 'partners:', partners.map(p=>p.socketId));
-      socket.emit('pk-partners', { room, partners });
+      socket.emit('pk-partners', { room, partners, fallback });
     } catch (e) {
       socket.emit('pk-partners', { room, partners: [] });
     }
@@ -942,6 +3952,9 @@ io.on("connection", socket => {
           try {
             if (roomBroadcasters.has(room)) {
               const s = roomBroadcasters.get(room);
+              // PK host dropping off: end the round unless it reconnects in time
+              const me = socketToUser.get(socket.id);
+              if (pkMatches.has(room) && s.has(socket.id) && me && me.userId) schedulePkHostLeave(room, me.userId);
               if (s && s.delete && s.delete(socket.id)) {
                 // left broadcaster set; if empty, remove the set
                 if (s.size === 0) roomBroadcasters.delete(room);